@@ -1,51 +1,171 @@
 /**
  * 横截面扫描动画 Composable
- * 提供截面扫描动画功能
+ * 提供截面扫描序列（多平面、循环/往返、缓动）、暂停/继续以及切片帧导出功能
  */
 
-import { ref } from 'vue'
+import { ref, nextTick } from 'vue'
 import { useSceneStore } from '@/stores/sceneStore'
+import { SectionType } from '@/utils/crossSection'
+import { downloadFile } from '@/utils/download'
+import { renderScene } from '@/utils/oitRenderer'
+
+/**
+ * 扫描播放模式枚举
+ */
+export const SweepMode = {
+  ONCE: 'once',         // 单次：播放完停在终点
+  LOOP: 'loop',         // 循环：播放完从头开始
+  PING_PONG: 'pingpong' // 往返：播放完反向播放
+}
+
+/**
+ * 缓动函数
+ */
+export const Easing = {
+  linear: t => t,
+  easeInOutQuad: t => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+  easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2
+}
+
+// 连续下载文件之间的间隔（浏览器会拦截过快的批量下载）
+const DOWNLOAD_INTERVAL = 200
+
+// 动画状态在模块内共享，多个组件控制的是同一个扫描动画
+const isAnimating = ref(false)
+const isPaused = ref(false)
+const isExporting = ref(false)
+const currentSweepIndex = ref(0)
+let animationId = null
+
+// 当前序列的播放状态
+let sequence = null
+let direction = 1 // 1 正向，-1 反向（往返模式）
+let segmentElapsed = 0 // 当前扫描段已播放时长（暂停时保留）
+let lastFrameTime = null
 
 export function useSectionAnimation() {
   const sceneStore = useSceneStore()
-  const isAnimating = ref(false)
-  let animationId = null
-  let startTime = null
   const animationDuration = 1500 // 1.5秒完成一次扫描（频率提高一倍）
 
   /**
-   * 播放扫描动画
+   * 播放扫描序列
+   * @param {Object} options - 序列参数
+   * @param {Object[]} options.sweeps - 扫描段列表 [{ type, from = 0, to = 1 }]（轴向截面）
+   * @param {number} options.duration - 每段时长（毫秒）
+   * @param {string} options.mode - 播放模式 (once/loop/pingpong)
+   * @param {string} options.easing - 缓动函数名（见 Easing）
+   */
+  function playSweepSequence(options = {}) {
+    const {
+      sweeps = [{ type: sceneStore.crossSectionType }],
+      duration = animationDuration,
+      mode = SweepMode.ONCE,
+      easing = 'linear'
+    } = options
+
+    // 斜切面没有 0-1 位置，不参与扫描
+    const validSweeps = sweeps
+      .filter(sweep => sweep.type !== SectionType.OBLIQUE)
+      .map(sweep => ({ from: 0, to: 1, ...sweep }))
+    if (validSweeps.length === 0) return
+
+    stopAnimation()
+
+    sequence = {
+      sweeps: validSweeps,
+      duration: Math.max(duration, 1),
+      mode,
+      ease: Easing[easing] || Easing.linear
+    }
+    direction = 1
+    currentSweepIndex.value = 0
+    segmentElapsed = 0
+
+    sceneStore.setCrossSectionEnabled(true)
+    applySweepPosition(0)
+
+    isAnimating.value = true
+    isPaused.value = false
+    lastFrameTime = performance.now()
+    animationId = requestAnimationFrame(animate)
+  }
+
+  /**
+   * 播放扫描动画（从当前位置扫描到终点，兼容旧接口）
    * @param {number} duration - 动画时长（毫秒）
    */
   function playScanAnimation(duration = animationDuration) {
-    if (isAnimating.value) {
-      stopAnimation()
+    playSweepSequence({
+      sweeps: [{
+        type: sceneStore.crossSectionType,
+        from: sceneStore.crossSectionPosition,
+        to: 1
+      }],
+      duration
+    })
+  }
+
+  /**
+   * 按当前扫描段的进度设置截面类型和位置
+   * @param {number} progress - 段内进度 (0-1)
+   */
+  function applySweepPosition(progress) {
+    const sweep = sequence.sweeps[currentSweepIndex.value]
+    // 反向播放时从终点走回起点
+    const t = direction > 0 ? progress : 1 - progress
+    const position = sweep.from + (sweep.to - sweep.from) * sequence.ease(t)
+
+    if (sceneStore.crossSectionType !== sweep.type) {
+      sceneStore.setCrossSectionType(sweep.type)
     }
+    sceneStore.setCrossSectionPosition(position)
+  }
 
-    isAnimating.value = true
-    startTime = Date.now()
-    const startPosition = sceneStore.crossSectionPosition
-
-    function animate() {
-      const elapsed = Date.now() - startTime
-      const progress = Math.min(elapsed / duration, 1)
-
-      // 从 0 到 1 的线性动画
-      const newPosition = startPosition + (1 - startPosition) * progress
-      sceneStore.setCrossSectionPosition(newPosition)
-
-      if (progress < 1) {
-        animationId = requestAnimationFrame(animate)
-      } else {
-        // 动画完成，重置位置
-        setTimeout(() => {
-          sceneStore.setCrossSectionPosition(0)
-          isAnimating.value = false
-        }, 500)
+  /**
+   * 切换到下一个扫描段
+   * @returns {boolean} 是否继续播放
+   */
+  function advanceSweep() {
+    const count = sequence.sweeps.length
+    const next = currentSweepIndex.value + direction
+
+    if (next >= 0 && next < count) {
+      currentSweepIndex.value = next
+      return true
+    }
+
+    switch (sequence.mode) {
+      case SweepMode.LOOP:
+        currentSweepIndex.value = 0
+        return true
+      case SweepMode.PING_PONG:
+        // 到达一端后反向，重新播放端点处的扫描段
+        direction = -direction
+        return true
+      default:
+        return false
+    }
+  }
+
+  function animate(now) {
+    segmentElapsed += now - lastFrameTime
+    lastFrameTime = now
+
+    // 一帧内可能跨过多个段（例如时长很短时）
+    while (segmentElapsed >= sequence.duration) {
+      applySweepPosition(1)
+      segmentElapsed -= sequence.duration
+      if (!advanceSweep()) {
+        // 单次模式结束，停在终点
+        animationId = null
+        isAnimating.value = false
+        return
       }
     }
 
-    animate()
+    applySweepPosition(segmentElapsed / sequence.duration)
+    animationId = requestAnimationFrame(animate)
   }
 
   /**
@@ -57,24 +177,111 @@ export function useSectionAnimation() {
       animationId = null
     }
     isAnimating.value = false
+    isPaused.value = false
   }
 
   /**
-   * 暂停动画（保留当前状态）
+   * 暂停动画（保留当前位置和进度，可通过 resumeAnimation 继续）
    */
   function pauseAnimation() {
+    if (!isAnimating.value || isPaused.value) return
+
     if (animationId) {
       cancelAnimationFrame(animationId)
       animationId = null
     }
-    isAnimating.value = false
+    isPaused.value = true
+  }
+
+  /**
+   * 继续播放已暂停的动画
+   */
+  function resumeAnimation() {
+    if (!isAnimating.value || !isPaused.value || !sequence) return
+
+    isPaused.value = false
+    lastFrameTime = performance.now()
+    animationId = requestAnimationFrame(animate)
+  }
+
+  /**
+   * 截取当前画面为 PNG
+   * @returns {Promise<Blob|null>} 图片数据
+   */
+  function captureFrame() {
+    const { renderer, scene, camera } = window
+    if (!renderer || !scene || !camera) return Promise.resolve(null)
+
+    // 在同一任务内渲染并读取画布，无需开启 preserveDrawingBuffer
+    renderScene(renderer, scene, camera, sceneStore.oitEnabled)
+    return new Promise(resolve => renderer.domElement.toBlob(resolve, 'image/png'))
+  }
+
+  /**
+   * 逐层导出等间距切片的画面（PNG 序列）
+   * @param {Object} options - 导出参数
+   * @param {string} options.type - 截面类型（默认当前类型）
+   * @param {number} options.count - 切片数量
+   * @param {number} options.from - 起始位置 (0-1)
+   * @param {number} options.to - 结束位置 (0-1)
+   * @returns {Promise<number>} 导出的帧数
+   */
+  async function exportSliceFrames(options = {}) {
+    const {
+      type = sceneStore.crossSectionType,
+      count = 10,
+      from = 0,
+      to = 1
+    } = options
+    if (isExporting.value || type === SectionType.OBLIQUE || count < 1) return 0
+
+    stopAnimation()
+    isExporting.value = true
+
+    const originalType = sceneStore.crossSectionType
+    const originalPosition = sceneStore.crossSectionPosition
+    const originalEnabled = sceneStore.crossSectionEnabled
+    const digits = String(count).length
+    let exported = 0
+
+    try {
+      sceneStore.setCrossSectionEnabled(true)
+      sceneStore.setCrossSectionType(type)
+
+      for (let i = 0; i < count; i++) {
+        const position = count === 1 ? (from + to) / 2 : from + (to - from) * i / (count - 1)
+        sceneStore.setCrossSectionPosition(position)
+        // 等待截面控制器响应状态变化
+        await nextTick()
+
+        const blob = await captureFrame()
+        if (!blob) break
+
+        const index = String(i + 1).padStart(digits, '0')
+        downloadFile(blob, `section-${type}-${index}.png`)
+        exported++
+        await new Promise(resolve => setTimeout(resolve, DOWNLOAD_INTERVAL))
+      }
+    } finally {
+      sceneStore.setCrossSectionType(originalType)
+      sceneStore.setCrossSectionPosition(originalPosition)
+      sceneStore.setCrossSectionEnabled(originalEnabled)
+      isExporting.value = false
+    }
+
+    return exported
   }
 
   return {
     isAnimating,
+    isPaused,
+    isExporting,
+    currentSweepIndex,
     playScanAnimation,
+    playSweepSequence,
     stopAnimation,
-    pauseAnimation
+    pauseAnimation,
+    resumeAnimation,
+    exportSliceFrames
   }
 }
-
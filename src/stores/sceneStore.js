@@ -1,47 +1,186 @@
 import { defineStore } from 'pinia'
 import { ref } from 'vue'
+import { DEFAULT_MODEL_ID } from '@/utils/modelLoader'
+import { DEFAULT_SIMULATION_PARAMS } from '@/utils/spikingNetwork'
 
 export const useSceneStore = defineStore('scene', () => {
   // 状态定义
-  const selectedOrgan = ref(null)
-  const visibleLayers = ref({
-    skin: true,
-    muscle: false,
-    skeleton: false,
-    organs: true,
-    vessels: false
-  })
-  const layerOpacity = ref({})
-  const toolMode = ref('select')
+  const selectedOrgan = ref(null) // 点击选中的结构 { kind, key, name, detail, organId, layerId?, neuronIndex? }
+  const hoveredStructure = ref(null) // 鼠标悬停的结构 { name, detail, x, y }（屏幕坐标，用于提示框）
+  const currentModelId = ref(DEFAULT_MODEL_ID) // 当前模型（见 modelLoader 的模型清单）
+  const modelLoading = ref(false) // 模型是否正在加载
+  const importedLayers = ref([]) // 拖放导入的本地模型和标签表面图层 [{ id, name, format, visible, color? }]
+  const modelLayers = ref([]) // 当前模型的图层 [{ id, name, color, visible, opacity, meshes, defaults }]
+  const soloLayerId = ref(null) // 独显图层 ID（其余图层隐藏）
+  const toolMode = ref('select') // 工具模式（select 选择 / distance / angle / area / volume 测量 / annotate 放置标注）
+  const measurements = ref([]) // 测量记录 [{ id, type, name, value, points, layerId?, layerName?, closed?, scaleEstimated? }]（数值单位为 mm/°/mm²/mm³，scaleEstimated 表示按估算比例换算）
+  let nextMeasurementId = 1
+  const annotations = ref([]) // 当前模型的标注 [{ id, title, note, position, normal, layerId, layerName }]（note 为富文本 HTML）
+  const selectedAnnotationId = ref(null) // 展开备注的标注 ID
+  let nextAnnotationId = 1
   const crossSectionType = ref('axial')
   const crossSectionPosition = ref(0.5)
   const crossSectionThickness = ref(0.02)
+  const crossSectionEnabled = ref(false) // 是否启用截面
+  const sectionBounds = ref(null) // 截面范围（模型包围盒 + 毫米换算，模型加载后设置）
+  const crossSectionMode = ref('halfspace') // 截面模式（halfspace 切除一侧 / slab 薄层切片）
+  const sectionCapEnabled = ref(true) // 是否填充截面（实心切口）
+  const sectionCapColorMode = ref('mesh') // 封口颜色模式（single/mesh/material）
+  const sectionCapColor = ref('#e8a0a0') // 统一封口颜色
+  const obliqueNormal = ref([0, 0, 1]) // 斜切面法向量
+  const obliqueConstant = ref(0) // 斜切面偏移（平面常量）
+  const sectionGizmoMode = ref('rotate') // 斜切面拖拽控件模式（rotate/translate）
+  const sectionPlanes = ref([]) // 附加截面列表（与主截面同时生效）
+  const sectionCombineMode = ref('union') // 多平面组合方式（union 并集 / intersection 交集）
+  let nextSectionPlaneId = 1
   const threeViewMode = ref(false)
+  const mprPositions = ref({ coronal: 0.5, sagittal: 0.5, axial: 0.5 }) // 三视图中各平面独立的位置
+  const volumeInfo = ref(null) // 已加载的体数据信息 { name, dims, spacing, datatype, min, max }
+  const volumeLoading = ref(false) // 体数据是否正在加载
+  const volumeVisible = ref(true) // 是否显示体渲染
+  const volumeRenderMode = ref('composite') // 体渲染模式（composite 合成 / mip 最大密度投影）
+  const volumeTransferFunction = ref('grayscale') // 传递函数预设
+  const volumeWindowWidth = ref(1) // 窗宽（原始体素值单位）
+  const volumeWindowLevel = ref(0.5) // 窗位（原始体素值单位）
+  const volumeOpacity = ref(1) // 不透明度系数
+  const sliceViewerEnabled = ref(true) // 是否显示体数据切片视图
+  const sliceColormap = ref('grayscale') // 切片伪彩色（grayscale/hot/jet）
+  const sliceInterpolation = ref('trilinear') // 切片插值方式（nearest/trilinear）
+  const sliceShowAllPlanes = ref(false) // 3D 场景中是否显示全部三个正交切片（否则只显示当前截面）
+  const labelSurfaceProgress = ref(null) // 标签表面生成进度 { done, total }，未在生成时为 null
   const isTransparent = ref(true) // 默认透视
+  const transparentOpacity = ref(0.6) // 透视模式下的不透明度（与图层不透明度相乘）
+  const oitEnabled = ref(true) // 半透明网格是否使用顺序无关透明渲染
   const isWireframe = ref(true) // 默认网格模式
+  const wireframeStyle = ref('mesh') // 网格视图样式（mesh/edges/hiddenLine/silhouette）
+  const wireframeLineColor = ref('#ffffff') // 特征边/轮廓线颜色
+  const wireframeLineWidth = ref(1.5) // 特征边/轮廓线线宽（像素）
+  const wireframeCreaseAngle = ref(30) // 特征边折痕角（度）
   const showNeurons = ref(true) // 默认显示神经元
-  const neuronCount = ref(50) // 神经元数量（固定50个）
+  const neuronCount = ref(50) // 神经元数量
   const neuronConnectionProbability = ref(1.0) // 连接概率（固定100%）
+  const neuronPlacement = ref('volume') // 神经元放置方式（volume 全脑 / shell 皮层）
+  const neuronShellDepth = ref(6) // 皮层模式下距表面的最大深度（mm）
+  const neuronSeed = ref(1) // 神经元网络随机种子（相同种子和参数生成相同的网络）
+  const swcNeurons = ref([]) // 导入的 SWC 神经元 [{ id, name, sampleCount, hasAxon, placementHash, placementRound, position, magnification, radiusScale }]（position 为模型边界框内的相对位置 0-1，由种子、文件哈希和放置轮次采样后保存）
   const animateNeurons = ref(true) // 是否动画
-  const neuronSignalInterval = ref(4000) // 信号间隔（4000ms，频率提高一倍）
+  const neuronSimulation = ref({ ...DEFAULT_SIMULATION_PARAMS }) // 脉冲神经网络仿真参数（见 spikingNetwork）
 
   // 方法定义
   function setSelectedOrgan(organ) {
     selectedOrgan.value = organ
   }
 
-  function toggleLayer(layer, visible) {
-    visibleLayers.value[layer] = visible
+  function setHoveredStructure(structure) {
+    hoveredStructure.value = structure
   }
 
-  function setLayerOpacity(layer, opacity) {
-    layerOpacity.value[layer] = opacity
+  function setCurrentModelId(id) {
+    currentModelId.value = id
+  }
+
+  function setModelLoading(loading) {
+    modelLoading.value = loading
+  }
+
+  function addImportedLayers(layers) {
+    importedLayers.value = [...importedLayers.value, ...layers]
+  }
+
+  function setImportedLayerVisible(id, visible) {
+    importedLayers.value = importedLayers.value.map(layer =>
+      layer.id === id ? { ...layer, visible } : layer
+    )
+  }
+
+  function removeImportedLayer(id) {
+    importedLayers.value = importedLayers.value.filter(layer => layer.id !== id)
+  }
+
+  function setModelLayers(layers) {
+    modelLayers.value = layers
+    soloLayerId.value = null
+  }
+
+  function updateModelLayer(id, changes) {
+    modelLayers.value = modelLayers.value.map(layer =>
+      layer.id === id ? { ...layer, ...changes } : layer
+    )
+  }
+
+  function toggleLayer(id, visible) {
+    updateModelLayer(id, { visible })
+  }
+
+  function setLayerOpacity(id, opacity) {
+    updateModelLayer(id, { opacity })
+  }
+
+  function setSoloLayer(id) {
+    // 再次独显同一图层时取消独显
+    soloLayerId.value = soloLayerId.value === id ? null : id
   }
 
   function setToolMode(mode) {
     toolMode.value = mode
   }
 
+  function addMeasurement(measurement) {
+    const newMeasurement = {
+      id: nextMeasurementId++,
+      ...measurement
+    }
+    measurements.value = [...measurements.value, newMeasurement]
+    return newMeasurement.id
+  }
+
+  function updateMeasurement(id, changes) {
+    measurements.value = measurements.value.map(measurement =>
+      measurement.id === id ? { ...measurement, ...changes } : measurement
+    )
+  }
+
+  function removeMeasurement(id) {
+    measurements.value = measurements.value.filter(measurement => measurement.id !== id)
+  }
+
+  function clearMeasurements() {
+    measurements.value = []
+  }
+
+  function setAnnotations(list) {
+    annotations.value = list.map(annotation => ({ ...annotation, id: nextAnnotationId++ }))
+    selectedAnnotationId.value = null
+  }
+
+  function addAnnotation(annotation) {
+    const newAnnotation = {
+      id: nextAnnotationId++,
+      title: '',
+      note: '',
+      ...annotation
+    }
+    annotations.value = [...annotations.value, newAnnotation]
+    return newAnnotation.id
+  }
+
+  function updateAnnotation(id, changes) {
+    annotations.value = annotations.value.map(annotation =>
+      annotation.id === id ? { ...annotation, ...changes } : annotation
+    )
+  }
+
+  function removeAnnotation(id) {
+    annotations.value = annotations.value.filter(annotation => annotation.id !== id)
+    if (selectedAnnotationId.value === id) {
+      selectedAnnotationId.value = null
+    }
+  }
+
+  function setSelectedAnnotation(id) {
+    selectedAnnotationId.value = id
+  }
+
   function setCrossSectionType(type) {
     crossSectionType.value = type
   }
@@ -54,14 +193,159 @@ export const useSceneStore = defineStore('scene', () => {
     crossSectionThickness.value = thickness
   }
 
+  function setCrossSectionEnabled(enabled) {
+    crossSectionEnabled.value = enabled
+  }
+
+  function setSectionBounds(bounds) {
+    sectionBounds.value = bounds
+  }
+
+  function setCrossSectionMode(mode) {
+    crossSectionMode.value = mode
+  }
+
+  function setSectionCapEnabled(enabled) {
+    sectionCapEnabled.value = enabled
+  }
+
+  function setSectionCapColorMode(mode) {
+    sectionCapColorMode.value = mode
+  }
+
+  function setSectionCapColor(color) {
+    sectionCapColor.value = color
+  }
+
+  function setObliquePlane(normal, constant) {
+    obliqueNormal.value = [...normal]
+    obliqueConstant.value = constant
+  }
+
+  function resetObliquePlane() {
+    setObliquePlane([0, 0, 1], 0)
+  }
+
+  function setSectionGizmoMode(mode) {
+    sectionGizmoMode.value = mode
+  }
+
+  function addSectionPlane(plane = {}) {
+    const newPlane = {
+      id: nextSectionPlaneId++,
+      type: 'coronal',
+      position: 0.5,
+      normal: [...obliqueNormal.value],
+      constant: obliqueConstant.value,
+      flipped: false,
+      enabled: true,
+      ...plane
+    }
+    sectionPlanes.value = [...sectionPlanes.value, newPlane]
+    return newPlane.id
+  }
+
+  function updateSectionPlane(id, changes) {
+    sectionPlanes.value = sectionPlanes.value.map(plane =>
+      plane.id === id ? { ...plane, ...changes } : plane
+    )
+  }
+
+  function removeSectionPlane(id) {
+    sectionPlanes.value = sectionPlanes.value.filter(plane => plane.id !== id)
+  }
+
+  function moveSectionPlane(id, offset) {
+    const planes = [...sectionPlanes.value]
+    const index = planes.findIndex(plane => plane.id === id)
+    const target = index + offset
+    if (index < 0 || target < 0 || target >= planes.length) return
+    const [plane] = planes.splice(index, 1)
+    planes.splice(target, 0, plane)
+    sectionPlanes.value = planes
+  }
+
+  function clearSectionPlanes() {
+    sectionPlanes.value = []
+  }
+
+  function setSectionCombineMode(mode) {
+    sectionCombineMode.value = mode
+  }
+
   function setThreeViewMode(enabled) {
     threeViewMode.value = enabled
   }
 
+  function setMprPosition(type, position) {
+    mprPositions.value = { ...mprPositions.value, [type]: position }
+  }
+
+  function setMprPositions(positions) {
+    mprPositions.value = { ...mprPositions.value, ...positions }
+  }
+
+  function setVolumeInfo(info) {
+    volumeInfo.value = info
+  }
+
+  function setVolumeLoading(loading) {
+    volumeLoading.value = loading
+  }
+
+  function setVolumeVisible(visible) {
+    volumeVisible.value = visible
+  }
+
+  function setVolumeRenderMode(mode) {
+    volumeRenderMode.value = mode
+  }
+
+  function setVolumeTransferFunction(preset) {
+    volumeTransferFunction.value = preset
+  }
+
+  function setVolumeWindow(width, level) {
+    volumeWindowWidth.value = width
+    volumeWindowLevel.value = level
+  }
+
+  function setVolumeOpacity(opacity) {
+    volumeOpacity.value = opacity
+  }
+
+  function setSliceViewerEnabled(enabled) {
+    sliceViewerEnabled.value = enabled
+  }
+
+  function setSliceColormap(colormap) {
+    sliceColormap.value = colormap
+  }
+
+  function setSliceInterpolation(interpolation) {
+    sliceInterpolation.value = interpolation
+  }
+
+  function setSliceShowAllPlanes(show) {
+    sliceShowAllPlanes.value = show
+  }
+
+  function setLabelSurfaceProgress(progress) {
+    labelSurfaceProgress.value = progress
+  }
+
   function setTransparent(enabled) {
     isTransparent.value = enabled
   }
 
+  function setTransparentOpacity(opacity) {
+    transparentOpacity.value = opacity
+  }
+
+  function setOitEnabled(enabled) {
+    oitEnabled.value = enabled
+  }
+
   function toggleTransparent() {
     isTransparent.value = !isTransparent.value
   }
@@ -74,6 +358,22 @@ export const useSceneStore = defineStore('scene', () => {
     isWireframe.value = !isWireframe.value
   }
 
+  function setWireframeStyle(style) {
+    wireframeStyle.value = style
+  }
+
+  function setWireframeLineColor(color) {
+    wireframeLineColor.value = color
+  }
+
+  function setWireframeLineWidth(width) {
+    wireframeLineWidth.value = width
+  }
+
+  function setWireframeCreaseAngle(angle) {
+    wireframeCreaseAngle.value = angle
+  }
+
   function setShowNeurons(show) {
     showNeurons.value = show
   }
@@ -86,49 +386,176 @@ export const useSceneStore = defineStore('scene', () => {
     neuronConnectionProbability.value = probability
   }
 
+  function setNeuronPlacement(placement) {
+    neuronPlacement.value = placement
+  }
+
+  function setNeuronShellDepth(depth) {
+    neuronShellDepth.value = depth
+  }
+
+  function setNeuronSeed(seed) {
+    neuronSeed.value = seed
+  }
+
+  function addSwcNeurons(list) {
+    swcNeurons.value = [...swcNeurons.value, ...list]
+  }
+
+  function updateSwcNeuron(id, changes) {
+    swcNeurons.value = swcNeurons.value.map(neuron =>
+      neuron.id === id ? { ...neuron, ...changes } : neuron
+    )
+  }
+
+  function removeSwcNeuron(id) {
+    swcNeurons.value = swcNeurons.value.filter(neuron => neuron.id !== id)
+  }
+
   function setAnimateNeurons(animate) {
     animateNeurons.value = animate
   }
 
-  function setNeuronSignalInterval(interval) {
-    neuronSignalInterval.value = interval
+  function setNeuronSimulation(params) {
+    neuronSimulation.value = { ...neuronSimulation.value, ...params }
   }
 
   return {
     // 状态
     selectedOrgan,
-    visibleLayers,
-    layerOpacity,
+    hoveredStructure,
+    currentModelId,
+    modelLoading,
+    importedLayers,
+    modelLayers,
+    soloLayerId,
     toolMode,
+    measurements,
+    annotations,
+    selectedAnnotationId,
     crossSectionType,
     crossSectionPosition,
     crossSectionThickness,
+    crossSectionEnabled,
+    sectionBounds,
+    crossSectionMode,
+    sectionCapEnabled,
+    sectionCapColorMode,
+    sectionCapColor,
+    obliqueNormal,
+    obliqueConstant,
+    sectionGizmoMode,
+    sectionPlanes,
+    sectionCombineMode,
     threeViewMode,
+    mprPositions,
+    volumeInfo,
+    volumeLoading,
+    volumeVisible,
+    volumeRenderMode,
+    volumeTransferFunction,
+    volumeWindowWidth,
+    volumeWindowLevel,
+    volumeOpacity,
+    sliceViewerEnabled,
+    sliceColormap,
+    sliceInterpolation,
+    sliceShowAllPlanes,
+    labelSurfaceProgress,
     isTransparent,
+    transparentOpacity,
+    oitEnabled,
     isWireframe,
+    wireframeStyle,
+    wireframeLineColor,
+    wireframeLineWidth,
+    wireframeCreaseAngle,
     showNeurons,
     neuronCount,
     neuronConnectionProbability,
+    neuronPlacement,
+    neuronShellDepth,
+    neuronSeed,
+    swcNeurons,
     animateNeurons,
-    neuronSignalInterval,
+    neuronSimulation,
     // 方法
     setSelectedOrgan,
+    setHoveredStructure,
+    setCurrentModelId,
+    setModelLoading,
+    addImportedLayers,
+    setImportedLayerVisible,
+    removeImportedLayer,
+    setModelLayers,
+    updateModelLayer,
     toggleLayer,
     setLayerOpacity,
+    setSoloLayer,
     setToolMode,
+    addMeasurement,
+    updateMeasurement,
+    removeMeasurement,
+    clearMeasurements,
+    setAnnotations,
+    addAnnotation,
+    updateAnnotation,
+    removeAnnotation,
+    setSelectedAnnotation,
     setCrossSectionType,
     setCrossSectionPosition,
     setCrossSectionThickness,
+    setCrossSectionEnabled,
+    setSectionBounds,
+    setCrossSectionMode,
+    setSectionCapEnabled,
+    setSectionCapColorMode,
+    setSectionCapColor,
+    setObliquePlane,
+    resetObliquePlane,
+    setSectionGizmoMode,
+    addSectionPlane,
+    updateSectionPlane,
+    removeSectionPlane,
+    moveSectionPlane,
+    clearSectionPlanes,
+    setSectionCombineMode,
     setThreeViewMode,
+    setMprPosition,
+    setMprPositions,
+    setVolumeInfo,
+    setVolumeLoading,
+    setVolumeVisible,
+    setVolumeRenderMode,
+    setVolumeTransferFunction,
+    setVolumeWindow,
+    setVolumeOpacity,
+    setSliceViewerEnabled,
+    setSliceColormap,
+    setSliceInterpolation,
+    setSliceShowAllPlanes,
+    setLabelSurfaceProgress,
     setTransparent,
+    setTransparentOpacity,
+    setOitEnabled,
     toggleTransparent,
     setWireframe,
     toggleWireframe,
+    setWireframeStyle,
+    setWireframeLineColor,
+    setWireframeLineWidth,
+    setWireframeCreaseAngle,
     setShowNeurons,
     setNeuronCount,
     setNeuronConnectionProbability,
+    setNeuronPlacement,
+    setNeuronShellDepth,
+    setNeuronSeed,
+    addSwcNeurons,
+    updateSwcNeuron,
+    removeSwcNeuron,
     setAnimateNeurons,
-    setNeuronSignalInterval
+    setNeuronSimulation
   }
 })
 
@@ -20,6 +20,86 @@ export const organData = [
     location: '胸腔两侧',
     relatedDiseases: ['肺炎', '肺癌', '哮喘'],
     relatedOrgans: ['heart', 'trachea']
+  },
+  {
+    id: 'cortex',
+    name: '大脑皮层',
+    nameEn: 'Cerebral Cortex',
+    description: '大脑皮层是覆盖大脑半球表面的灰质层，由大量神经元胞体组成，表面形成沟回以增加面积',
+    function: '感觉信息整合、运动控制、语言、记忆和高级认知功能',
+    location: '大脑半球表面，厚约 2–4 毫米',
+    relatedDiseases: ['癫痫', '阿尔茨海默病', '脑卒中'],
+    relatedOrgans: ['brain', 'neuron']
+  },
+  {
+    id: 'brain',
+    name: '脑组织',
+    nameEn: 'Brain Tissue',
+    description: '脑组织包括灰质和白质，灰质含神经元胞体，白质由有髓鞘的神经纤维构成',
+    function: '处理和传递神经信息，协调全身的生理活动',
+    location: '颅腔内',
+    relatedDiseases: ['脑肿瘤', '脑水肿', '多发性硬化'],
+    relatedOrgans: ['cortex', 'tumorCore', 'edema']
+  },
+  {
+    id: 'edema',
+    name: '瘤周水肿',
+    nameEn: 'Peritumoral Edema',
+    description: '肿瘤周围脑组织中液体异常积聚形成的水肿区，在 T2/FLAIR 序列上呈高信号',
+    function: '病理改变，可引起颅内压升高和周围神经功能障碍',
+    location: '包绕肿瘤核心的脑白质区域',
+    relatedDiseases: ['胶质瘤', '脑转移瘤', '颅内高压'],
+    relatedOrgans: ['tumorCore', 'enhancingTumor', 'brain']
+  },
+  {
+    id: 'tumorCore',
+    name: '肿瘤核心',
+    nameEn: 'Tumor Core',
+    description: '肿瘤核心由增强肿瘤和坏死/非增强区域组成，是手术切除的主要目标',
+    function: '病理组织，不具备正常脑功能',
+    location: '水肿区内部',
+    relatedDiseases: ['胶质母细胞瘤', '低级别胶质瘤'],
+    relatedOrgans: ['necrosis', 'enhancingTumor', 'edema']
+  },
+  {
+    id: 'necrosis',
+    name: '坏死/非增强肿瘤核心',
+    nameEn: 'Necrotic / Non-enhancing Tumor Core',
+    description: '肿瘤内部缺血坏死或未强化的区域，在增强 T1 序列上不强化',
+    function: '病理组织，坏死范围与肿瘤恶性程度相关',
+    location: '肿瘤核心中央',
+    relatedDiseases: ['胶质母细胞瘤'],
+    relatedOrgans: ['tumorCore', 'enhancingTumor']
+  },
+  {
+    id: 'enhancingTumor',
+    name: '增强肿瘤',
+    nameEn: 'Enhancing Tumor',
+    description: '血脑屏障破坏、造影剂渗出的活跃肿瘤组织，在增强 T1 序列上明显强化',
+    function: '病理组织，代表肿瘤增殖活跃的部分',
+    location: '通常环绕坏死区分布',
+    relatedDiseases: ['胶质母细胞瘤', '脑转移瘤'],
+    relatedOrgans: ['tumorCore', 'necrosis', 'edema']
+  },
+  {
+    id: 'neuron',
+    name: '神经元',
+    nameEn: 'Neuron',
+    description: '神经元是神经系统的基本结构和功能单位，由胞体、树突和轴突组成',
+    function: '接收、整合并以电信号和化学信号传递信息',
+    location: '主要分布于大脑皮层、基底核等灰质区域',
+    relatedDiseases: ['帕金森病', '肌萎缩侧索硬化', '阿尔茨海默病'],
+    relatedOrgans: ['synapse', 'cortex']
+  },
+  {
+    id: 'synapse',
+    name: '突触',
+    nameEn: 'Synapse',
+    description: '突触是神经元之间传递信号的连接结构，由突触前膜、突触间隙和突触后膜组成',
+    function: '通过神经递质释放实现神经元之间的信号传递和可塑性',
+    location: '轴突末梢与下一个神经元的树突或胞体之间',
+    relatedDiseases: ['重症肌无力', '抑郁症'],
+    relatedOrgans: ['neuron']
   }
 ]
 
@@ -27,6 +107,13 @@ export function getOrganById(id) {
   return organData.find(organ => organ.id === id)
 }
 
+// 按中文或英文名称查找（导入的标签表面按标签名称匹配）
+export function getOrganByName(name) {
+  if (!name) return undefined
+  const key = name.trim().toLowerCase()
+  return organData.find(organ => organ.name === name.trim() || organ.nameEn.toLowerCase() === key)
+}
+
 export function getRelatedOrgans(id) {
   const organ = getOrganById(id)
   if (!organ) return []
@@ -0,0 +1,218 @@
+/**
+ * 标注工具函数
+ * 固定在模型表面的标注点（标题 + 富文本备注），按模型保存在 localStorage 中，
+ * 支持导入导出 JSON；标签的遮挡、裁剪和距离淡出判断
+ */
+
+import { Vector3 } from 'three'
+import { isPointClipped } from './picking'
+
+// localStorage 键前缀
+const STORAGE_PREFIX = 'brain-demo:annotations:'
+
+// 导出文件格式版本
+const EXPORT_VERSION = 1
+
+// 备注允许的富文本标签（其余标签只保留文字，script/style 等整体移除）
+const ALLOWED_NOTE_TAGS = new Set(['B', 'STRONG', 'I', 'EM', 'U', 'BR', 'P', 'DIV', 'UL', 'OL', 'LI'])
+const DROPPED_NOTE_TAGS = new Set(['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'TEMPLATE'])
+
+// 标注点沿表面法线外移的距离（相对相机距离），避免遮挡判断被所在表面挡住
+const SURFACE_OFFSET = 0.002
+
+/**
+ * 只保留标注需要保存的字段
+ * @param {Object} annotation - 标注
+ * @returns {Object} { title, note, position, normal, layerId, layerName }
+ */
+function toStoredAnnotation({ title, note, position, normal, layerId, layerName }) {
+  return { title, note, position, normal, layerId, layerName }
+}
+
+/**
+ * 校验并规范化一条标注（来自 localStorage 或导入的文件）
+ * @param {Object} data - 原始数据
+ * @returns {Object|null} 无效时返回 null
+ */
+function normalizeAnnotation(data) {
+  if (!data || typeof data !== 'object') return null
+
+  const isVector = value => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite)
+  if (!isVector(data.position)) return null
+
+  return {
+    title: typeof data.title === 'string' ? data.title : '',
+    note: typeof data.note === 'string' ? sanitizeNoteHtml(data.note) : '',
+    position: [...data.position],
+    normal: isVector(data.normal) ? [...data.normal] : [0, 0, 0],
+    layerId: data.layerId ?? null,
+    layerName: typeof data.layerName === 'string' ? data.layerName : ''
+  }
+}
+
+/**
+ * 读取模型保存的标注
+ * @param {string} modelId - 模型 ID
+ * @returns {Object[]} 标注列表（不含 ID）
+ */
+export function loadAnnotations(modelId) {
+  if (!modelId) return []
+
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_PREFIX + modelId)) || []
+    return list.map(normalizeAnnotation).filter(Boolean)
+  } catch (error) {
+    console.warn('标注读取失败:', error)
+    return []
+  }
+}
+
+/**
+ * 保存模型的标注
+ * @param {string} modelId - 模型 ID
+ * @param {Object[]} annotations - 标注列表
+ */
+export function saveAnnotations(modelId, annotations) {
+  if (!modelId) return
+
+  try {
+    if (annotations.length > 0) {
+      localStorage.setItem(STORAGE_PREFIX + modelId, JSON.stringify(annotations.map(toStoredAnnotation)))
+    } else {
+      localStorage.removeItem(STORAGE_PREFIX + modelId)
+    }
+  } catch (error) {
+    console.warn('标注保存失败:', error)
+  }
+}
+
+/**
+ * 将标注导出为 JSON
+ * @param {string} modelId - 模型 ID
+ * @param {Object[]} annotations - 标注列表
+ * @returns {string}
+ */
+export function annotationsToJSON(modelId, annotations) {
+  return JSON.stringify({
+    version: EXPORT_VERSION,
+    modelId,
+    annotations: annotations.map(toStoredAnnotation)
+  }, null, 2)
+}
+
+/**
+ * 解析导入的标注 JSON（兼容直接保存的标注数组）
+ * @param {string} text - 文件内容
+ * @returns {Object} { modelId, annotations }
+ */
+export function parseAnnotationsJSON(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch (error) {
+    throw new Error('不是有效的 JSON 文件')
+  }
+
+  const list = Array.isArray(data) ? data : data && data.annotations
+  if (!Array.isArray(list)) {
+    throw new Error('文件中没有标注数据')
+  }
+
+  const annotations = list.map(normalizeAnnotation).filter(Boolean)
+  if (list.length > 0 && annotations.length === 0) {
+    throw new Error('标注数据格式不正确')
+  }
+
+  return {
+    modelId: Array.isArray(data) ? null : data.modelId || null,
+    annotations
+  }
+}
+
+/**
+ * 清理备注富文本：只保留基本格式标签并去掉所有属性
+ * @param {string} html - 备注 HTML
+ * @returns {string}
+ */
+export function sanitizeNoteHtml(html) {
+  if (!html) return ''
+
+  const doc = new DOMParser().parseFromString(html, 'text/html')
+
+  const cleanChildren = (parent) => {
+    Array.from(parent.childNodes).forEach((node) => {
+      if (node.nodeType === Node.TEXT_NODE) return
+      if (node.nodeType !== Node.ELEMENT_NODE || DROPPED_NOTE_TAGS.has(node.tagName)) {
+        node.remove()
+        return
+      }
+
+      cleanChildren(node)
+      if (ALLOWED_NOTE_TAGS.has(node.tagName)) {
+        Array.from(node.attributes).forEach(attribute => node.removeAttribute(attribute.name))
+      } else {
+        node.replaceWith(...node.childNodes)
+      }
+    })
+  }
+
+  cleanChildren(doc.body)
+  return doc.body.innerHTML
+}
+
+/**
+ * 计算标注标签的屏幕位置、可见性和不透明度
+ * @param {Object} annotation - 标注
+ * @param {Object} context - 计算参数
+ * @param {Camera} context.camera - 相机
+ * @param {number} context.width - 画布宽度（像素）
+ * @param {number} context.height - 画布高度（像素）
+ * @param {number} context.fadeStart - 开始淡出的相机距离
+ * @param {number} context.fadeEnd - 完全淡出的相机距离
+ * @returns {Object} { x, y, distance, opacity }（在相机背后时 opacity 为 0）
+ */
+export function projectAnnotation(annotation, { camera, width, height, fadeStart, fadeEnd }) {
+  const point = new Vector3().fromArray(annotation.position)
+  const distance = point.distanceTo(camera.position)
+  const projected = point.project(camera)
+
+  const inFront = projected.z > -1 && projected.z < 1
+  const fade = fadeEnd > fadeStart
+    ? 1 - Math.min(Math.max((distance - fadeStart) / (fadeEnd - fadeStart), 0), 1)
+    : 1
+
+  return {
+    x: (projected.x + 1) / 2 * width,
+    y: (1 - projected.y) / 2 * height,
+    distance,
+    opacity: inFront ? fade : 0
+  }
+}
+
+/**
+ * 判断标注是否被遮挡或被截面裁掉
+ * @param {Object} annotation - 标注
+ * @param {Object} context - 判断参数
+ * @param {Raycaster} context.raycaster - 用于遮挡检测的 Raycaster
+ * @param {Camera} context.camera - 相机
+ * @param {Function} context.pick - (raycaster) => 最近的有效交点 { intersection } 或 null
+ * @param {Object|null} context.clipping - 截面裁剪模式参数
+ * @returns {boolean}
+ */
+export function isAnnotationHidden(annotation, { raycaster, camera, pick, clipping }) {
+  const point = new Vector3().fromArray(annotation.position)
+  if (isPointClipped(point, clipping)) return true
+
+  // 沿法线稍微外移后，从相机向标注点发射射线，中途碰到其他表面即被遮挡
+  const distance = point.distanceTo(camera.position)
+  point.addScaledVector(new Vector3().fromArray(annotation.normal), distance * SURFACE_OFFSET)
+
+  const direction = point.clone().sub(camera.position)
+  const length = direction.length()
+  raycaster.set(camera.position, direction.normalize())
+  raycaster.far = length
+
+  const hit = pick(raycaster)
+  raycaster.far = Infinity
+  return Boolean(hit) && hit.intersection.distance < length * (1 - SURFACE_OFFSET)
+}
@@ -3,7 +3,22 @@
  * 提供横截面计算和应用的核心逻辑
  */
 
-import { Plane, Vector3 } from 'three'
+import {
+  Plane,
+  Vector3,
+  Box3,
+  Mesh,
+  PlaneGeometry,
+  MeshBasicMaterial,
+  LineSegments,
+  EdgesGeometry,
+  LineBasicMaterial,
+  DoubleSide
+} from 'three'
+import { MaterialMode, setMaterialMode, clearMaterialMode } from './materialState'
+
+// 平面辅助对象的局部法向量（PlaneGeometry 默认朝向 +Z）
+const PLANE_FORWARD = new Vector3(0, 0, 1)
 
 /**
  * 截面类型枚举
@@ -11,70 +26,360 @@ import { Plane, Vector3 } from 'three'
 export const SectionType = {
   CORONAL: 'coronal',   // 冠状面：Y-Z 平面，沿 X 轴移动
   SAGITTAL: 'sagittal', // 矢状面：X-Z 平面，沿 Y 轴移动
-  AXIAL: 'axial'        // 横断面：X-Y 平面，沿 Z 轴移动
+  AXIAL: 'axial',       // 横断面：X-Y 平面，沿 Z 轴移动
+  OBLIQUE: 'oblique'    // 斜切面：任意方向，由法向量和偏移确定
+}
+
+/**
+ * 截面模式枚举
+ */
+export const SectionMode = {
+  HALF_SPACE: 'halfspace', // 切除一侧：保留平面法向量一侧的几何体
+  SLAB: 'slab'             // 薄层切片：只保留两个平行平面之间的几何体
+}
+
+/**
+ * 多平面组合方式枚举（对应材质的 clipIntersection）
+ */
+export const SectionCombineMode = {
+  UNION: 'union',              // 并集：切除任一平面背面的部分
+  INTERSECTION: 'intersection' // 交集：只切除所有平面背面重叠的部分（如四分之一剖切）
+}
+
+// 各轴向截面的法向量所在坐标轴（0: X, 1: Y, 2: Z）
+const SECTION_AXES = {
+  [SectionType.CORONAL]: 0,
+  [SectionType.SAGITTAL]: 1,
+  [SectionType.AXIAL]: 2
+}
+
+// glTF 规范的长度单位为米
+const DEFAULT_MM_PER_MODEL_UNIT = 1000
+
+// 未加载模型时的默认截面范围（与模型缩放后的目标大小一致）
+const DEFAULT_BOUNDS = {
+  min: [-1, -1, -1],
+  max: [1, 1, 1],
+  mmPerWorldUnit: DEFAULT_MM_PER_MODEL_UNIT,
+  scaleEstimated: false
+}
+
+/**
+ * 计算模型的截面范围（世界坐标包围盒 + 毫米换算系数）
+ * @param {Object3D} model - Three.js 模型对象
+ * @param {number} mmPerModelUnit - 模型自身单位对应的毫米数（默认按 glTF 规范的米计算）
+ * @param {boolean} scaleEstimated - 毫米换算是否为估算值（读数显示为近似值）
+ * @returns {Object} { min: [x, y, z], max: [x, y, z], mmPerWorldUnit, scaleEstimated }
+ */
+export function computeSectionBounds(model, mmPerModelUnit = DEFAULT_MM_PER_MODEL_UNIT, scaleEstimated = false) {
+  if (!model) return { ...DEFAULT_BOUNDS }
+
+  const box = new Box3().setFromObject(model)
+  if (box.isEmpty()) return { ...DEFAULT_BOUNDS }
+
+  // 场景中对模型做了缩放，世界单位需换算回模型自身单位
+  const worldScale = model.getWorldScale(new Vector3()).x || 1
+
+  return {
+    min: box.min.toArray(),
+    max: box.max.toArray(),
+    mmPerWorldUnit: mmPerModelUnit / worldScale,
+    scaleEstimated
+  }
 }
 
 /**
  * 创建截面平面
+ * 轴向截面的位置 0-1 对应模型包围盒在该轴上的最小值到最大值，
+ * 平面法向量指向坐标轴正方向（保留位置之后的部分）
+ * @param {string} type - 截面类型 (coronal/sagittal/axial/oblique)
+ * @param {number} position - 截面位置 (0-1)，斜切面忽略此参数
+ * @param {Object} oblique - 斜切面参数 { normal: [x, y, z], constant }（仅 oblique 类型使用）
+ * @param {Object} bounds - 截面范围（computeSectionBounds 的结果，缺省为 -1 到 1）
+ * @returns {Plane} Three.js 平面对象
+ */
+export function createSectionPlane(type, position, oblique = null, bounds = null) {
+  if (type === SectionType.OBLIQUE) {
+    return createObliquePlane(oblique?.normal, oblique?.constant)
+  }
+
+  let axis = SECTION_AXES[type]
+  if (axis === undefined) {
+    console.warn(`未知的截面类型: ${type}`)
+    axis = SECTION_AXES[SectionType.AXIAL]
+  }
+
+  const { min, max } = bounds || DEFAULT_BOUNDS
+  const normal = new Vector3().setComponent(axis, 1)
+  const coordinate = min[axis] + position * (max[axis] - min[axis])
+
+  // 平面满足 normal·x - coordinate = 0
+  return new Plane(normal, -coordinate)
+}
+
+/**
+ * 计算经过指定点的截面位置（createSectionPlane 的逆运算，仅轴向截面）
+ * @param {string} type - 截面类型 (coronal/sagittal/axial)
+ * @param {Vector3} point - 世界坐标点
+ * @param {Object} bounds - 截面范围
+ * @returns {number} 截面位置 (0-1)
+ */
+export function getSectionPositionFromPoint(type, point, bounds = null) {
+  const axis = SECTION_AXES[type] ?? SECTION_AXES[SectionType.AXIAL]
+  const { min, max } = bounds || DEFAULT_BOUNDS
+  const extent = max[axis] - min[axis]
+  if (extent <= 0) return 0.5
+
+  const position = (point.getComponent(axis) - min[axis]) / extent
+  return Math.min(Math.max(position, 0), 1)
+}
+
+/**
+ * 计算截面范围沿法向量方向的跨度（世界坐标）
+ * @param {Object} bounds - 截面范围
+ * @param {Vector3} normal - 截面法向量（已归一化）
+ * @returns {number} 跨度
+ */
+export function getSectionExtent(bounds, normal) {
+  const { min, max } = bounds || DEFAULT_BOUNDS
+  // 包围盒在法向量上的投影长度
+  return Math.abs(normal.x) * (max[0] - min[0]) +
+         Math.abs(normal.y) * (max[1] - min[1]) +
+         Math.abs(normal.z) * (max[2] - min[2])
+}
+
+/**
+ * 计算截面位置的毫米读数（模型自身单位换算）
  * @param {string} type - 截面类型 (coronal/sagittal/axial)
  * @param {number} position - 截面位置 (0-1)
+ * @param {Object} bounds - 截面范围
+ * @returns {Object} { offset: 距包围盒起点的毫米数, extent: 总跨度毫米数 }
+ */
+export function getSectionPositionMm(type, position, bounds = null) {
+  const resolved = bounds || DEFAULT_BOUNDS
+  const normal = createSectionPlane(type, 0.5, null, resolved).normal
+  const extent = getSectionExtent(resolved, normal) * resolved.mmPerWorldUnit
+  return {
+    offset: position * extent,
+    extent
+  }
+}
+
+/**
+ * 将截面厚度（占截面跨度的比例）转换为毫米
+ * @param {number} thickness - 截面厚度 (0-1)
+ * @param {Vector3} normal - 截面法向量
+ * @param {Object} bounds - 截面范围
+ * @returns {number} 毫米数
+ */
+export function getSectionThicknessMm(thickness, normal, bounds = null) {
+  const resolved = bounds || DEFAULT_BOUNDS
+  return getSectionWorldThickness(thickness, normal, resolved) * resolved.mmPerWorldUnit
+}
+
+/**
+ * 格式化毫米读数
+ * @param {number} value - 毫米数
+ * @param {Object} bounds - 截面范围（比例为估算值时读数前加 ≈）
+ * @returns {string} 格式化文本
+ */
+export function formatMm(value, bounds = null) {
+  return `${bounds && bounds.scaleEstimated ? '≈' : ''}${value.toFixed(1)} mm`
+}
+
+/**
+ * 计算两个平面的交线
+ * @param {Plane} planeA - 平面 A
+ * @param {Plane} planeB - 平面 B
+ * @returns {Object|null} { point: Vector3, direction: Vector3 }，平行时返回 null
+ */
+export function getPlaneIntersectionLine(planeA, planeB) {
+  const direction = new Vector3().crossVectors(planeA.normal, planeB.normal)
+  const lengthSq = direction.lengthSq()
+  if (lengthSq < 1e-10) return null
+
+  // 交线上的点：((-cA)(nB × d) + (-cB)(d × nA)) / |d|²
+  const point = new Vector3()
+    .crossVectors(planeB.normal, direction)
+    .multiplyScalar(-planeA.constant)
+    .add(new Vector3().crossVectors(direction, planeA.normal).multiplyScalar(-planeB.constant))
+    .divideScalar(lengthSq)
+
+  return { point, direction: direction.normalize() }
+}
+
+/**
+ * 将截面厚度（占截面跨度的比例）转换为世界坐标下的厚度
+ * @param {number} thickness - 截面厚度 (0-1)
+ * @param {Vector3} normal - 截面法向量
+ * @param {Object} bounds - 截面范围
+ * @returns {number} 世界坐标下的厚度
+ */
+export function getSectionWorldThickness(thickness, normal, bounds = null) {
+  return thickness * getSectionExtent(bounds, normal)
+}
+
+/**
+ * 创建以截面平面为中心的薄层裁剪平面对
+ * 两个平面法向量相对，共同保留 |distance| <= thickness / 2 的区域
+ * @param {Plane} plane - 中心截面平面
+ * @param {number} thickness - 薄层厚度（世界坐标）
+ * @returns {Plane[]} 两个裁剪平面
+ */
+export function createSlabPlanes(plane, thickness) {
+  const halfThickness = Math.max(thickness, 0) / 2
+  const front = new Plane(plane.normal.clone(), plane.constant + halfThickness)
+  const back = new Plane(plane.normal.clone().negate(), -plane.constant + halfThickness)
+  return [front, back]
+}
+
+/**
+ * 根据截面模式生成裁剪平面列表
+ * @param {Plane} plane - 截面平面
+ * @param {string} mode - 截面模式 (halfspace/slab)
+ * @param {number} thickness - 截面厚度（占截面跨度的比例），仅薄层模式使用
+ * @param {Object} bounds - 截面范围
+ * @returns {Plane[]} 裁剪平面列表
+ */
+export function createSectionClippingPlanes(plane, mode = SectionMode.HALF_SPACE, thickness = 0, bounds = null) {
+  if (mode === SectionMode.SLAB) {
+    return createSlabPlanes(plane, getSectionWorldThickness(thickness, plane.normal, bounds))
+  }
+  return [plane]
+}
+
+/**
+ * 根据附加截面配置创建平面
+ * @param {Object} config - 截面配置 { type, position, normal, constant, flipped }
+ * @param {Object} bounds - 截面范围
  * @returns {Plane} Three.js 平面对象
  */
-export function createSectionPlane(type, position) {
-  const normal = new Vector3()
-  let constant = 0
-  
-  // 将位置从 0-1 转换为 -1 到 1 的范围
-  const normalizedPosition = (position - 0.5) * 2
-  
-  switch (type) {
-    case SectionType.CORONAL:
-      // 冠状面：垂直于 X 轴
-      normal.set(1, 0, 0)
-      constant = normalizedPosition
-      break
-    case SectionType.SAGITTAL:
-      // 矢状面：垂直于 Y 轴
-      normal.set(0, 1, 0)
-      constant = normalizedPosition
-      break
-    case SectionType.AXIAL:
-      // 横断面：垂直于 Z 轴
-      normal.set(0, 0, 1)
-      constant = normalizedPosition
-      break
-    default:
-      console.warn(`未知的截面类型: ${type}`)
-      normal.set(0, 0, 1)
-      constant = normalizedPosition
+export function createSectionPlaneFromConfig(config, bounds = null) {
+  const plane = createSectionPlane(
+    config.type,
+    config.position,
+    { normal: config.normal, constant: config.constant },
+    bounds
+  )
+  // 反向时保留平面另一侧
+  return config.flipped ? plane.negate() : plane
+}
+
+/**
+ * 根据截面状态生成当前生效的裁剪平面（主截面 + 启用的附加截面）
+ * 薄层模式依赖两个平面同时生效，只能按并集组合
+ * @param {Object} state - 截面状态（sceneStore）
+ * @returns {Object} { planes: Plane[], clipIntersection: boolean }，未启用截面时 planes 为空
+ */
+export function createActiveSectionPlanes(state) {
+  if (!state.crossSectionEnabled) {
+    return { planes: [], clipIntersection: false }
   }
-  
-  return new Plane(normal, constant)
+
+  const plane = createSectionPlane(
+    state.crossSectionType,
+    state.crossSectionPosition,
+    { normal: state.obliqueNormal, constant: state.obliqueConstant },
+    state.sectionBounds
+  )
+
+  // 薄层模式下以截面为中心生成两个平行裁剪平面
+  const planes = createSectionClippingPlanes(
+    plane,
+    state.crossSectionMode,
+    state.crossSectionThickness,
+    state.sectionBounds
+  )
+
+  // 叠加启用的附加截面
+  state.sectionPlanes
+    .filter(config => config.enabled)
+    .forEach(config => {
+      planes.push(createSectionPlaneFromConfig(config, state.sectionBounds))
+    })
+
+  const clipIntersection = state.sectionCombineMode === SectionCombineMode.INTERSECTION &&
+    state.crossSectionMode !== SectionMode.SLAB
+
+  return { planes, clipIntersection }
+}
+
+/**
+ * 创建斜切面平面
+ * @param {number[]} normal - 法向量 [x, y, z]（无需归一化）
+ * @param {number} constant - 平面常量（原点到平面的有向距离取负）
+ * @returns {Plane} Three.js 平面对象
+ */
+export function createObliquePlane(normal = [0, 0, 1], constant = 0) {
+  const planeNormal = new Vector3().fromArray(normal)
+  if (planeNormal.lengthSq() === 0) {
+    planeNormal.copy(PLANE_FORWARD)
+  }
+  return new Plane(planeNormal.normalize(), constant)
+}
+
+/**
+ * 创建半透明的截面平面辅助对象（供拖拽控件挂载）
+ * @param {number} size - 平面边长
+ * @param {number} color - 颜色（十六进制）
+ * @returns {Mesh} 平面辅助对象
+ */
+export function createPlaneHelper(size = 2.4, color = 0x409eff) {
+  const geometry = new PlaneGeometry(size, size)
+  const material = new MeshBasicMaterial({
+    color,
+    transparent: true,
+    opacity: 0.2,
+    side: DoubleSide,
+    depthWrite: false // 不写入深度，避免遮挡模型内部结构
+  })
+  const helper = new Mesh(geometry, material)
+  helper.name = 'SectionPlaneHelper'
+  helper.renderOrder = 998
+  helper.userData.excludeFromOIT = true // 辅助对象按原有方式混合，不被模型的 OIT 深度剔除
+
+  // 平面边框，便于在透视模式下辨认平面范围
+  const border = new LineSegments(
+    new EdgesGeometry(geometry),
+    new LineBasicMaterial({ color, transparent: true, opacity: 0.8 })
+  )
+  helper.add(border)
+
+  return helper
+}
+
+/**
+ * 将对象摆放到平面上（位置为平面上离原点最近的点，+Z 朝向平面法向量）
+ * @param {Object3D} object - 要摆放的对象（通常是平面辅助对象）
+ * @param {Plane} plane - 目标平面
+ */
+export function alignObjectToPlane(object, plane) {
+  if (!object || !plane) return
+
+  plane.coplanarPoint(object.position)
+  object.quaternion.setFromUnitVectors(PLANE_FORWARD, plane.normal)
+}
+
+/**
+ * 根据对象的位置和朝向计算平面（与 alignObjectToPlane 互逆）
+ * @param {Object3D} object - 平面辅助对象（需直接位于场景根节点下）
+ * @param {Plane} target - 结果写入的平面（可选）
+ * @returns {Plane} Three.js 平面对象
+ */
+export function planeFromObject(object, target = new Plane()) {
+  const normal = PLANE_FORWARD.clone().applyQuaternion(object.quaternion).normalize()
+  return target.setFromNormalAndCoplanarPoint(normal, object.position)
 }
 
 /**
  * 应用截面到模型
  * @param {Object3D} model - Three.js 模型对象
- * @param {Plane} plane - 截面平面
+ * @param {Plane|Plane[]} plane - 截面平面（薄层模式或多平面时为平面数组）
+ * @param {boolean} clipIntersection - 是否只切除所有平面背面的交集（多平面交集模式）
  */
-export function applySectionToModel(model, plane) {
-  if (!model) return
-  
-  model.traverse((child) => {
-    if (child.isMesh) {
-      if (!Array.isArray(child.material)) {
-        child.material.clippingPlanes = [plane]
-        child.material.clipShadows = true
-        child.material.needsUpdate = true
-      } else {
-        child.material.forEach(mat => {
-          mat.clippingPlanes = [plane]
-          mat.clipShadows = true
-          mat.needsUpdate = true
-        })
-      }
-    }
-  })
+export function applySectionToModel(model, plane, clipIntersection = false) {
+  const planes = Array.isArray(plane) ? plane : [plane]
+  setMaterialMode(model, MaterialMode.CLIPPING, { planes, clipIntersection })
 }
 
 /**
@@ -82,21 +387,7 @@ export function applySectionToModel(model, plane) {
  * @param {Object3D} model - Three.js 模型对象
  */
 export function removeSectionFromModel(model) {
-  if (!model) return
-  
-  model.traverse((child) => {
-    if (child.isMesh) {
-      if (!Array.isArray(child.material)) {
-        child.material.clippingPlanes = []
-        child.material.needsUpdate = true
-      } else {
-        child.material.forEach(mat => {
-          mat.clippingPlanes = []
-          mat.needsUpdate = true
-        })
-      }
-    }
-  })
+  clearMaterialMode(model, MaterialMode.CLIPPING)
 }
 
 /**
@@ -108,7 +399,8 @@ export function getSectionTypeName(type) {
   const names = {
     [SectionType.CORONAL]: '冠状面',
     [SectionType.SAGITTAL]: '矢状面',
-    [SectionType.AXIAL]: '横断面'
+    [SectionType.AXIAL]: '横断面',
+    [SectionType.OBLIQUE]: '斜切面'
   }
   return names[type] || type
 }
@@ -122,7 +414,8 @@ export function getSectionTypeDescription(type) {
   const descriptions = {
     [SectionType.CORONAL]: '前后方向切割，从正面观察',
     [SectionType.SAGITTAL]: '左右方向切割，从侧面观察',
-    [SectionType.AXIAL]: '上下方向切割，从顶部观察'
+    [SectionType.AXIAL]: '上下方向切割，从顶部观察',
+    [SectionType.OBLIQUE]: '任意角度切割，拖动场景中的控件旋转或平移截面'
   }
   return descriptions[type] || ''
 }
@@ -0,0 +1,25 @@
+/**
+ * 文件下载工具函数
+ * 将文本或 Blob 内容保存为本地文件
+ */
+
+/**
+ * 下载文件
+ * @param {string|Blob} content - 文件内容
+ * @param {string} filename - 文件名
+ * @param {string} mimeType - MIME 类型（content 为字符串时使用）
+ */
+export function downloadFile(content, filename, mimeType = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType })
+  const url = URL.createObjectURL(blob)
+
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+
+  // 延迟释放，确保浏览器已开始下载
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
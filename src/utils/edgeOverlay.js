@@ -0,0 +1,269 @@
+/**
+ * 线框叠加工具函数
+ * 在着色表面上叠加屏幕空间粗线：折痕角特征边、轮廓线，或两者组合的消隐线视图
+ * 叠加线作为源网格的子对象（userData.overlay），跟随网格的变换和图层显示状态
+ */
+
+import { BufferGeometry, InstancedBufferAttribute } from 'three'
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js'
+import { LineSegments2 } from 'three/examples/jsm/lines/LineSegments2.js'
+import { LineSegmentsGeometry } from 'three/examples/jsm/lines/LineSegmentsGeometry.js'
+import { LineMaterial } from 'three/examples/jsm/lines/LineMaterial.js'
+
+/**
+ * 网格视图样式
+ */
+export const WireframeStyle = {
+  MESH: 'mesh', // 三角网格线框
+  EDGES: 'edges', // 着色表面 + 特征边
+  HIDDEN_LINE: 'hiddenLine', // 只画可见的特征边和轮廓线
+  SILHOUETTE: 'silhouette' // 着色表面 + 轮廓线
+}
+
+// 轮廓线顶点着色器：相邻两个面一个朝向相机、一个背向相机的边才绘制，其余移出裁剪空间
+const SILHOUETTE_VERTEX_DECLARATIONS = /* glsl */ `
+attribute vec3 instanceNormalA;
+attribute vec3 instanceNormalB;
+`
+
+const SILHOUETTE_VERTEX_OUTPUT = /* glsl */ `
+#include <fog_vertex>
+vec3 edgeCenter = ( modelViewMatrix * vec4( 0.5 * ( instanceStart + instanceEnd ), 1.0 ) ).xyz;
+vec3 viewDirection = perspective ? edgeCenter : vec3( 0.0, 0.0, - 1.0 );
+float facingA = dot( normalMatrix * instanceNormalA, viewDirection );
+float facingB = dot( normalMatrix * instanceNormalB, viewDirection );
+if ( facingA * facingB > 0.0 ) gl_Position = vec4( 2.0, 2.0, 2.0, 1.0 );
+`
+
+// 几何体 -> 边数据（折痕角变化时不需要重新计算邻接关系）
+const edgeDataCache = new WeakMap()
+
+/**
+ * 计算几何体的边及相邻两个面的法向量（按位置焊接顶点，忽略法线/UV 接缝）
+ * 边界边的第二个法向量取第一个的反方向，始终作为特征边和轮廓线
+ * @param {BufferGeometry} geometry - 网格几何体
+ * @returns {Object} { count, positions, normalsA, normalsB, cosAngles }
+ */
+export function computeEdgeData(geometry) {
+  if (edgeDataCache.has(geometry)) return edgeDataCache.get(geometry)
+
+  const source = new BufferGeometry()
+  source.setAttribute('position', geometry.getAttribute('position'))
+  if (geometry.index) source.setIndex(geometry.index)
+  const welded = mergeVertices(source)
+  const position = welded.getAttribute('position')
+  const index = welded.index
+  const vertexCount = position.count
+  const faceCount = Math.floor(index.count / 3)
+
+  // 面法向量
+  const faceNormals = new Float32Array(faceCount * 3)
+  for (let f = 0; f < faceCount; f++) {
+    const a = index.getX(f * 3)
+    const b = index.getX(f * 3 + 1)
+    const c = index.getX(f * 3 + 2)
+    const abx = position.getX(b) - position.getX(a)
+    const aby = position.getY(b) - position.getY(a)
+    const abz = position.getZ(b) - position.getZ(a)
+    const acx = position.getX(c) - position.getX(a)
+    const acy = position.getY(c) - position.getY(a)
+    const acz = position.getZ(c) - position.getZ(a)
+    const nx = aby * acz - abz * acy
+    const ny = abz * acx - abx * acz
+    const nz = abx * acy - aby * acx
+    const length = Math.hypot(nx, ny, nz) || 1
+    faceNormals[f * 3] = nx / length
+    faceNormals[f * 3 + 1] = ny / length
+    faceNormals[f * 3 + 2] = nz / length
+  }
+
+  // 边 -> 两个端点和最多两个相邻面
+  const edgeIndex = new Map()
+  const edgeVertices = new Uint32Array(faceCount * 6)
+  const edgeFaces = new Int32Array(faceCount * 6).fill(-1)
+  let count = 0
+
+  for (let f = 0; f < faceCount; f++) {
+    for (let k = 0; k < 3; k++) {
+      const v0 = index.getX(f * 3 + k)
+      const v1 = index.getX(f * 3 + (k + 1) % 3)
+      if (v0 === v1) continue
+
+      const low = Math.min(v0, v1)
+      const high = Math.max(v0, v1)
+      const key = low * vertexCount + high
+      let edge = edgeIndex.get(key)
+      if (edge === undefined) {
+        edge = count++
+        edgeIndex.set(key, edge)
+        edgeVertices[edge * 2] = low
+        edgeVertices[edge * 2 + 1] = high
+        edgeFaces[edge * 2] = f
+      } else if (edgeFaces[edge * 2 + 1] === -1) {
+        edgeFaces[edge * 2 + 1] = f
+      }
+    }
+  }
+
+  const positions = new Float32Array(count * 6)
+  const normalsA = new Float32Array(count * 3)
+  const normalsB = new Float32Array(count * 3)
+  const cosAngles = new Float32Array(count)
+
+  for (let e = 0; e < count; e++) {
+    for (let k = 0; k < 2; k++) {
+      const vertex = edgeVertices[e * 2 + k]
+      positions[e * 6 + k * 3] = position.getX(vertex)
+      positions[e * 6 + k * 3 + 1] = position.getY(vertex)
+      positions[e * 6 + k * 3 + 2] = position.getZ(vertex)
+    }
+
+    const faceA = edgeFaces[e * 2]
+    const faceB = edgeFaces[e * 2 + 1]
+    let dot = 0
+    for (let i = 0; i < 3; i++) {
+      const normalA = faceNormals[faceA * 3 + i]
+      const normalB = faceB === -1 ? -normalA : faceNormals[faceB * 3 + i]
+      normalsA[e * 3 + i] = normalA
+      normalsB[e * 3 + i] = normalB
+      dot += normalA * normalB
+    }
+    cosAngles[e] = dot
+  }
+
+  source.dispose()
+  welded.dispose()
+
+  const data = { count, positions, normalsA, normalsB, cosAngles }
+  edgeDataCache.set(geometry, data)
+  return data
+}
+
+/**
+ * 按折痕角筛选特征边（相邻面法向夹角大于折痕角的边）
+ * @param {Object} edgeData - computeEdgeData 的结果
+ * @param {number} creaseAngle - 折痕角（度）
+ * @returns {Float32Array} 线段端点坐标
+ */
+export function getFeatureEdgePositions(edgeData, creaseAngle) {
+  const threshold = Math.cos(creaseAngle * Math.PI / 180)
+  const result = []
+
+  for (let e = 0; e < edgeData.count; e++) {
+    if (edgeData.cosAngles[e] < threshold) {
+      for (let i = 0; i < 6; i++) {
+        result.push(edgeData.positions[e * 6 + i])
+      }
+    }
+  }
+
+  return new Float32Array(result)
+}
+
+/**
+ * 为线材质启用轮廓线筛选
+ * @param {LineMaterial} material - 线材质
+ */
+function enableSilhouette(material) {
+  material.defines.SILHOUETTE = ''
+  material.onBeforeCompile = (shader) => {
+    shader.vertexShader = SILHOUETTE_VERTEX_DECLARATIONS + shader.vertexShader
+      .replace('#include <fog_vertex>', SILHOUETTE_VERTEX_OUTPUT)
+  }
+  material.customProgramCacheKey = () => 'silhouette'
+}
+
+/**
+ * 创建叠加线
+ * @param {LineSegmentsGeometry} geometry - 线段几何体
+ * @param {LineMaterial} material - 线材质
+ * @returns {LineSegments2}
+ */
+function createOverlayLine(geometry, material) {
+  const line = new LineSegments2(geometry, material)
+  line.userData.overlay = true // 截面封口、轮廓和材质状态管理跳过叠加线
+  line.renderOrder = 1
+  return line
+}
+
+/**
+ * 为模型创建线框叠加
+ * @param {Object3D} model - 模型根节点
+ * @param {Object} options - 叠加参数
+ * @param {string} options.style - WireframeStyle 中除 MESH 外的样式
+ * @param {string} options.color - 线条颜色
+ * @param {number} options.lineWidth - 线宽（像素）
+ * @param {number} options.creaseAngle - 特征边的折痕角（度）
+ * @returns {Object} { lines, materials }
+ */
+export function createEdgeOverlay(model, options) {
+  const { style, color = '#ffffff', lineWidth = 1.5, creaseAngle = 30 } = options
+  const showFeatures = style === WireframeStyle.EDGES || style === WireframeStyle.HIDDEN_LINE
+  const showSilhouette = style === WireframeStyle.SILHOUETTE || style === WireframeStyle.HIDDEN_LINE
+
+  const featureMaterial = new LineMaterial({ color, linewidth: lineWidth })
+  const silhouetteMaterial = new LineMaterial({ color, linewidth: lineWidth })
+  enableSilhouette(silhouetteMaterial)
+
+  const meshes = []
+  model.traverse((child) => {
+    if (child.isMesh && !child.userData.overlay && child.geometry) {
+      meshes.push(child)
+    }
+  })
+
+  const lines = []
+  meshes.forEach((mesh) => {
+    const edgeData = computeEdgeData(mesh.geometry)
+    if (edgeData.count === 0) return
+
+    if (showFeatures) {
+      const features = getFeatureEdgePositions(edgeData, creaseAngle)
+      if (features.length > 0) {
+        const geometry = new LineSegmentsGeometry()
+        geometry.setPositions(features)
+        lines.push(createOverlayLine(geometry, featureMaterial))
+        mesh.add(lines[lines.length - 1])
+      }
+    }
+
+    if (showSilhouette) {
+      const geometry = new LineSegmentsGeometry()
+      geometry.setPositions(edgeData.positions)
+      geometry.setAttribute('instanceNormalA', new InstancedBufferAttribute(edgeData.normalsA, 3))
+      geometry.setAttribute('instanceNormalB', new InstancedBufferAttribute(edgeData.normalsB, 3))
+      lines.push(createOverlayLine(geometry, silhouetteMaterial))
+      mesh.add(lines[lines.length - 1])
+    }
+  })
+
+  return { lines, materials: [featureMaterial, silhouetteMaterial] }
+}
+
+/**
+ * 更新叠加线的颜色和线宽（不需要重建几何体）
+ * @param {Object} overlay - createEdgeOverlay 的结果
+ * @param {Object} options - { color, lineWidth }
+ */
+export function updateEdgeOverlay(overlay, { color, lineWidth }) {
+  if (!overlay) return
+
+  overlay.materials.forEach((material) => {
+    if (color !== undefined) material.color.set(color)
+    if (lineWidth !== undefined) material.linewidth = lineWidth
+  })
+}
+
+/**
+ * 移除并释放线框叠加
+ * @param {Object} overlay - createEdgeOverlay 的结果
+ */
+export function removeEdgeOverlay(overlay) {
+  if (!overlay) return
+
+  overlay.lines.forEach((line) => {
+    if (line.parent) line.parent.remove(line)
+    line.geometry.dispose()
+  })
+  overlay.materials.forEach(material => material.dispose())
+}
@@ -0,0 +1,318 @@
+/**
+ * 标签体数据表面重建工具函数
+ * 对每个标签的二值掩膜运行 Marching Cubes，再做顶点聚类简化和 Taubin 平滑，
+ * 结果为体素坐标下的索引三角网格（可在 Web Worker 中运行，不依赖 DOM）
+ */
+
+import { edgeTable, triTable } from 'three/examples/jsm/objects/MarchingCubes.js'
+
+// 立方体 8 个角点相对于基准体素的偏移
+const CORNER_OFFSETS = [
+  [0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0],
+  [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]
+]
+
+// 12 条棱：[起点角点, 方向轴]（起点为坐标较小的一端）
+const CUBE_EDGES = [
+  [0, 0], [1, 1], [3, 0], [0, 1],
+  [4, 0], [5, 1], [7, 0], [4, 1],
+  [0, 2], [1, 2], [2, 2], [3, 2]
+]
+
+// 超过该数量的不同取值时认为不是标签体数据
+const MAX_LABEL_COUNT = 256
+
+// 默认简化单元边长（体素），1 表示不简化
+export const DEFAULT_DECIMATION = 2
+
+/**
+ * 统计标签体数据中的标签及其包围盒（忽略 0 背景）
+ * @param {Object} volume - 体数据 { dims: [nx, ny, nz], data }
+ * @returns {Object[]} [{ label, count, min: [i, j, k], max: [i, j, k] }]（按标签排序）
+ */
+export function collectLabels(volume) {
+  const [nx, ny, nz] = volume.dims
+  const { data } = volume
+  const labels = new Map()
+
+  let index = 0
+  for (let k = 0; k < nz; k++) {
+    for (let j = 0; j < ny; j++) {
+      for (let i = 0; i < nx; i++, index++) {
+        const value = data[index]
+        if (!value || !Number.isFinite(value)) continue
+
+        const label = Math.round(value)
+        let entry = labels.get(label)
+        if (!entry) {
+          if (labels.size >= MAX_LABEL_COUNT) {
+            throw new Error(`标签数量超过 ${MAX_LABEL_COUNT}，请确认输入的是标签体数据`)
+          }
+          entry = { label, count: 0, min: [i, j, k], max: [i, j, k] }
+          labels.set(label, entry)
+        }
+        entry.count++
+        if (i < entry.min[0]) entry.min[0] = i
+        if (j < entry.min[1]) entry.min[1] = j
+        if (k < entry.min[2]) entry.min[2] = k
+        if (i > entry.max[0]) entry.max[0] = i
+        if (j > entry.max[1]) entry.max[1] = j
+        if (k > entry.max[2]) entry.max[2] = k
+      }
+    }
+  }
+
+  return [...labels.values()].sort((a, b) => a.label - b.label)
+}
+
+/**
+ * 对单个标签的二值掩膜运行 Marching Cubes（等值面 0.5）
+ * 相邻立方体共享棱上的顶点，输出无重复顶点的索引网格
+ * @param {Object} volume - 体数据 { dims, data }
+ * @param {Object} labelInfo - collectLabels 的结果项
+ * @returns {Object} { positions: Float32Array, indices: Uint32Array }（体素坐标）
+ */
+export function marchingCubes(volume, labelInfo) {
+  const [nx, ny, nz] = volume.dims
+  const { data } = volume
+  const { label } = labelInfo
+
+  // 包围盒外扩一个体素，保证表面在体数据边界处闭合
+  const [x0, y0, z0] = labelInfo.min.map(v => v - 1)
+  const [x1, y1, z1] = labelInfo.max.map(v => v + 1)
+
+  const inside = (i, j, k) => (
+    i >= 0 && j >= 0 && k >= 0 && i < nx && j < ny && k < nz &&
+    Math.round(data[i + j * nx + k * nx * ny]) === label
+  )
+
+  // 棱 ID -> 顶点索引（棱 ID 由起点格点和方向轴唯一确定）
+  const sizeX = x1 - x0 + 1
+  const sizeY = y1 - y0 + 1
+  const edgeVertices = new Map()
+  const positions = []
+  const indices = []
+  const cornerInside = new Array(8)
+  const cubeVertices = new Array(12)
+
+  const getEdgeVertex = (i, j, k, edge) => {
+    const [corner, axis] = CUBE_EDGES[edge]
+    const [ox, oy, oz] = CORNER_OFFSETS[corner]
+    const px = i + ox
+    const py = j + oy
+    const pz = k + oz
+    const id = (((pz - z0) * sizeY + (py - y0)) * sizeX + (px - x0)) * 3 + axis
+
+    let vertex = edgeVertices.get(id)
+    if (vertex === undefined) {
+      vertex = positions.length / 3
+      // 二值场的 0.5 等值点位于棱中点
+      positions.push(
+        px + (axis === 0 ? 0.5 : 0),
+        py + (axis === 1 ? 0.5 : 0),
+        pz + (axis === 2 ? 0.5 : 0)
+      )
+      edgeVertices.set(id, vertex)
+    }
+    return vertex
+  }
+
+  for (let k = z0; k < z1; k++) {
+    for (let j = y0; j < y1; j++) {
+      for (let i = x0; i < x1; i++) {
+        // 角点在掩膜外（值 0 < 0.5）时置位
+        let cubeIndex = 0
+        for (let c = 0; c < 8; c++) {
+          const [ox, oy, oz] = CORNER_OFFSETS[c]
+          cornerInside[c] = inside(i + ox, j + oy, k + oz)
+          if (!cornerInside[c]) cubeIndex |= 1 << c
+        }
+
+        const edges = edgeTable[cubeIndex]
+        if (edges === 0) continue
+
+        for (let e = 0; e < 12; e++) {
+          if (edges & (1 << e)) {
+            cubeVertices[e] = getEdgeVertex(i, j, k, e)
+          }
+        }
+
+        const offset = cubeIndex * 16
+        for (let t = 0; triTable[offset + t] !== -1; t += 3) {
+          indices.push(
+            cubeVertices[triTable[offset + t]],
+            cubeVertices[triTable[offset + t + 1]],
+            cubeVertices[triTable[offset + t + 2]]
+          )
+        }
+      }
+    }
+  }
+
+  return {
+    positions: new Float32Array(positions),
+    indices: new Uint32Array(indices)
+  }
+}
+
+/**
+ * 顶点聚类简化：同一网格单元内的顶点合并为其平均位置，删除退化和重复的三角形
+ * @param {Object} mesh - { positions, indices }
+ * @param {number} cellSize - 单元边长（体素），不大于 1 时不简化
+ * @returns {Object} 简化后的 { positions, indices }
+ */
+export function decimateMesh(mesh, cellSize = 1) {
+  if (cellSize <= 1) return mesh
+
+  const { positions, indices } = mesh
+  const vertexCount = positions.length / 3
+  const cellOf = new Map()
+  const remap = new Uint32Array(vertexCount)
+  const sums = []
+  const counts = []
+
+  for (let v = 0; v < vertexCount; v++) {
+    const x = positions[v * 3]
+    const y = positions[v * 3 + 1]
+    const z = positions[v * 3 + 2]
+    const key = `${Math.floor(x / cellSize)},${Math.floor(y / cellSize)},${Math.floor(z / cellSize)}`
+
+    let cell = cellOf.get(key)
+    if (cell === undefined) {
+      cell = counts.length
+      cellOf.set(key, cell)
+      sums.push(0, 0, 0)
+      counts.push(0)
+    }
+    sums[cell * 3] += x
+    sums[cell * 3 + 1] += y
+    sums[cell * 3 + 2] += z
+    counts[cell]++
+    remap[v] = cell
+  }
+
+  const newPositions = new Float32Array(counts.length * 3)
+  for (let cell = 0; cell < counts.length; cell++) {
+    newPositions[cell * 3] = sums[cell * 3] / counts[cell]
+    newPositions[cell * 3 + 1] = sums[cell * 3 + 1] / counts[cell]
+    newPositions[cell * 3 + 2] = sums[cell * 3 + 2] / counts[cell]
+  }
+
+  const seen = new Set()
+  const newIndices = []
+  for (let t = 0; t < indices.length; t += 3) {
+    const a = remap[indices[t]]
+    const b = remap[indices[t + 1]]
+    const c = remap[indices[t + 2]]
+    if (a === b || b === c || c === a) continue
+
+    // 与顶点顺序无关的三角形键（保留第一次出现的朝向）
+    const key = [a, b, c].sort((p, q) => p - q).join(',')
+    if (seen.has(key)) continue
+    seen.add(key)
+    newIndices.push(a, b, c)
+  }
+
+  return {
+    positions: newPositions,
+    indices: new Uint32Array(newIndices)
+  }
+}
+
+/**
+ * Taubin 平滑（交替正负系数的拉普拉斯平滑，避免网格收缩）
+ * @param {Object} mesh - { positions, indices }，positions 原地修改
+ * @param {number} iterations - 迭代次数
+ * @param {number} lambda - 正向平滑系数
+ * @param {number} mu - 反向膨胀系数（负数，绝对值略大于 lambda）
+ * @returns {Object} 平滑后的网格
+ */
+export function smoothMesh(mesh, iterations = 10, lambda = 0.5, mu = -0.53) {
+  const { positions, indices } = mesh
+  const vertexCount = positions.length / 3
+  if (iterations <= 0 || vertexCount === 0) return mesh
+
+  // 构建邻接表（CSR 格式）
+  const neighborSets = Array.from({ length: vertexCount }, () => new Set())
+  for (let t = 0; t < indices.length; t += 3) {
+    const a = indices[t]
+    const b = indices[t + 1]
+    const c = indices[t + 2]
+    neighborSets[a].add(b).add(c)
+    neighborSets[b].add(a).add(c)
+    neighborSets[c].add(a).add(b)
+  }
+  const offsets = new Uint32Array(vertexCount + 1)
+  neighborSets.forEach((set, v) => {
+    offsets[v + 1] = offsets[v] + set.size
+  })
+  const neighbors = new Uint32Array(offsets[vertexCount])
+  neighborSets.forEach((set, v) => {
+    neighbors.set([...set], offsets[v])
+  })
+
+  const temp = new Float32Array(positions.length)
+  const step = (factor) => {
+    for (let v = 0; v < vertexCount; v++) {
+      const start = offsets[v]
+      const end = offsets[v + 1]
+      const count = end - start
+      for (let axis = 0; axis < 3; axis++) {
+        const current = positions[v * 3 + axis]
+        if (count === 0) {
+          temp[v * 3 + axis] = current
+          continue
+        }
+        let sum = 0
+        for (let n = start; n < end; n++) {
+          sum += positions[neighbors[n] * 3 + axis]
+        }
+        temp[v * 3 + axis] = current + factor * (sum / count - current)
+      }
+    }
+    positions.set(temp)
+  }
+
+  for (let i = 0; i < iterations; i++) {
+    step(lambda)
+    step(mu)
+  }
+
+  return mesh
+}
+
+/**
+ * 为标签体数据中的每个标签生成表面网格
+ * @param {Object} volume - 体数据 { dims, data }
+ * @param {Object} options - 生成参数
+ * @param {number} options.smoothIterations - 平滑迭代次数
+ * @param {number} options.decimation - 简化单元边长（体素，缺省为 DEFAULT_DECIMATION，1 为不简化）
+ * @param {number[]} options.labels - 只生成指定标签（缺省为全部）
+ * @param {Function} onProgress - 进度回调 (完成数, 总数, 标签)
+ * @returns {Object[]} [{ label, voxelCount, positions, indices }]（体素坐标）
+ */
+export function generateLabelSurfaces(volume, options = {}, onProgress = null) {
+  const { smoothIterations = 10, decimation = DEFAULT_DECIMATION, labels = null } = options
+
+  let labelInfos = collectLabels(volume)
+  if (labels) {
+    labelInfos = labelInfos.filter(info => labels.includes(info.label))
+  }
+
+  return labelInfos.map((info, index) => {
+    let mesh = marchingCubes(volume, info)
+    mesh = decimateMesh(mesh, decimation)
+    mesh = smoothMesh(mesh, smoothIterations)
+
+    if (onProgress) {
+      onProgress(index + 1, labelInfos.length, info.label)
+    }
+
+    return {
+      label: info.label,
+      voxelCount: info.count,
+      positions: mesh.positions,
+      indices: mesh.indices
+    }
+  })
+}
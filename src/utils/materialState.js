@@ -0,0 +1,305 @@
+/**
+ * 材质状态管理工具函数
+ * 每个材质首次被管理时保存一份原始状态；透视、网格视图、截面裁剪、高亮和图层颜色等显示模式
+ * 只记录参数，不直接修改材质。每次变化都从原始状态出发按固定顺序叠加所有生效的模式，
+ * 因此模式可以任意顺序开启和关闭，结果始终一致
+ */
+
+import { Color } from 'three'
+
+/**
+ * 显示模式
+ */
+export const MaterialMode = {
+  LAYER: 'layer',
+  TRANSPARENCY: 'transparency',
+  WIREFRAME: 'wireframe',
+  EDGE_OVERLAY: 'edgeOverlay',
+  HIGHLIGHT: 'highlight',
+  CLIPPING: 'clipping'
+}
+
+// 模式叠加顺序：后面的模式覆盖前面的结果（网格视图强制不透明，高亮在网格视图下仍然可见）
+const MODE_ORDER = [
+  MaterialMode.LAYER,
+  MaterialMode.TRANSPARENCY,
+  MaterialMode.WIREFRAME,
+  MaterialMode.EDGE_OVERLAY,
+  MaterialMode.HIGHLIGHT,
+  MaterialMode.CLIPPING
+]
+
+// 受管理的材质属性
+const MANAGED_PROPERTIES = [
+  'color',
+  'emissive',
+  'emissiveIntensity',
+  'metalness',
+  'roughness',
+  'opacity',
+  'transparent',
+  'depthWrite',
+  'wireframe',
+  'visible',
+  'colorWrite',
+  'polygonOffset',
+  'polygonOffsetFactor',
+  'polygonOffsetUnits',
+  'clippingPlanes',
+  'clipIntersection',
+  'clipShadows'
+]
+
+// 修改后需要重新编译着色器的属性
+const PROGRAM_PROPERTIES = ['transparent', 'wireframe']
+
+// 网格视图的线框颜色（淡灰色）
+const WIREFRAME_COLOR = 0xd3d3d3
+
+// 材质 -> 原始状态
+const pristineStates = new WeakMap()
+
+// 模型根节点 -> Map(模式 -> 参数)
+const modelModes = new WeakMap()
+
+/**
+ * 复制状态（颜色对象复制一份，避免修改原始状态）
+ * @param {Object} state - 材质状态
+ * @returns {Object}
+ */
+function cloneState(state) {
+  const copy = {}
+  Object.keys(state).forEach((key) => {
+    copy[key] = state[key] && state[key].isColor ? state[key].clone() : state[key]
+  })
+  return copy
+}
+
+/**
+ * 获取材质的原始状态（首次调用时从材质当前属性保存）
+ * @param {Material} material - 材质
+ * @returns {Object} 原始状态（只读）
+ */
+export function getPristineState(material) {
+  let state = pristineStates.get(material)
+  if (!state) {
+    const current = {}
+    MANAGED_PROPERTIES.forEach((key) => {
+      if (material[key] !== undefined) current[key] = material[key]
+    })
+    state = cloneState(current)
+    pristineStates.set(material, state)
+  }
+  return state
+}
+
+/**
+ * 复制材质，副本继承原材质的原始状态（而不是当前叠加了显示模式后的状态）
+ * @param {Material} material - 材质
+ * @returns {Material}
+ */
+export function cloneMaterial(material) {
+  const copy = material.clone()
+  pristineStates.set(copy, cloneState(getPristineState(material)))
+  return copy
+}
+
+// 各模式的叠加函数：(state, mesh, params) 修改 state
+const MODE_APPLIERS = {
+  // 图层：按网格所属图层设置颜色和不透明度
+  [MaterialMode.LAYER]: (state, mesh, { layers }) => {
+    const layer = layers.get(mesh.userData.layer)
+    if (!layer) return
+
+    if (state.color) state.color.set(layer.color)
+    state.opacity = layer.opacity
+    state.transparent = state.transparent || layer.opacity < 1
+    state.depthWrite = layer.opacity >= 1
+  },
+
+  // 透视：不透明度乘以系数（与图层不透明度叠加）
+  [MaterialMode.TRANSPARENCY]: (state, mesh, { opacity }) => {
+    state.opacity *= opacity
+    state.transparent = true
+    state.depthWrite = state.opacity >= 1
+  },
+
+  // 网格视图：统一的淡灰色不透明线框，减少光照影响
+  [MaterialMode.WIREFRAME]: (state) => {
+    state.wireframe = true
+    state.visible = true
+    state.transparent = false
+    state.opacity = 1
+    state.depthWrite = true
+    if (state.color) state.color.setHex(WIREFRAME_COLOR)
+    if (state.metalness !== undefined) state.metalness = 0
+    if (state.roughness !== undefined) state.roughness = 1
+    if (state.emissive) {
+      state.emissive.setHex(WIREFRAME_COLOR)
+      state.emissiveIntensity = 0.3
+    }
+  },
+
+  // 线框叠加：表面深度后移，避免与叠加线深度冲突；消隐线视图只写深度、不写颜色
+  [MaterialMode.EDGE_OVERLAY]: (state, mesh, { hideSurface = false }) => {
+    state.polygonOffset = true
+    state.polygonOffsetFactor = 1
+    state.polygonOffsetUnits = 1
+    if (hideSurface) {
+      state.colorWrite = false
+      state.transparent = false
+      state.opacity = 1
+      state.depthWrite = true
+    }
+  },
+
+  // 高亮：选中的网格加上自发光（没有自发光属性的材质改为混合颜色）
+  [MaterialMode.HIGHLIGHT]: (state, mesh, { objects, color = 0xffaa00, intensity = 0.6 }) => {
+    if (!objects.has(mesh)) return
+
+    if (state.emissive) {
+      state.emissive.set(color)
+      state.emissiveIntensity = intensity
+    } else if (state.color) {
+      state.color.lerp(new Color(color), intensity)
+    }
+  },
+
+  // 截面裁剪
+  [MaterialMode.CLIPPING]: (state, mesh, { planes, clipIntersection = false }) => {
+    state.clippingPlanes = planes
+    state.clipIntersection = clipIntersection
+    state.clipShadows = true
+  }
+}
+
+/**
+ * 由原始状态和生效的模式计算材质的最终状态
+ * @param {Material} material - 材质
+ * @param {Mesh} mesh - 使用该材质的网格
+ * @param {Map} modes - 模式 -> 参数
+ * @returns {Object} 最终状态
+ */
+export function computeMaterialState(material, mesh, modes) {
+  const state = cloneState(getPristineState(material))
+  MODE_ORDER.forEach((mode) => {
+    if (modes.has(mode)) MODE_APPLIERS[mode](state, mesh, modes.get(mode))
+  })
+  return state
+}
+
+/**
+ * 将状态写入材质（只在影响着色器的属性变化时标记重新编译）
+ * @param {Material} material - 材质
+ * @param {Object} state - 材质状态
+ */
+function writeMaterialState(material, state) {
+  const needsUpdate = PROGRAM_PROPERTIES.some(key => key in state && material[key] !== state[key])
+
+  Object.keys(state).forEach((key) => {
+    if (state[key] && state[key].isColor) {
+      material[key].copy(state[key])
+    } else {
+      material[key] = state[key]
+    }
+  })
+
+  if (needsUpdate) material.needsUpdate = true
+}
+
+/**
+ * 叠加线（userData.overlay）只跟随截面裁剪，颜色等由叠加线自身控制
+ * @param {Material} material - 叠加线材质
+ * @param {Object|undefined} clipping - 截面裁剪模式参数
+ */
+function writeOverlayClipping(material, clipping) {
+  material.clippingPlanes = clipping ? clipping.planes : null
+  material.clipIntersection = clipping ? Boolean(clipping.clipIntersection) : false
+}
+
+/**
+ * 按模型当前的显示模式重新计算所有材质
+ * （材质被替换或复制后也需要调用）
+ * @param {Object3D} model - 模型根节点
+ */
+export function refreshMaterials(model) {
+  if (!model) return
+
+  const modes = modelModes.get(model) || new Map()
+  model.traverse((child) => {
+    if (!child.isMesh) return
+
+    const materials = Array.isArray(child.material) ? child.material : [child.material]
+    materials.forEach((material) => {
+      if (!material) return
+      if (child.userData.overlay) {
+        writeOverlayClipping(material, modes.get(MaterialMode.CLIPPING))
+      } else {
+        writeMaterialState(material, computeMaterialState(material, child, modes))
+      }
+    })
+  })
+}
+
+/**
+ * 设置模型的显示模式
+ * @param {Object3D} model - 模型根节点
+ * @param {string} mode - MaterialMode 中的模式
+ * @param {Object|null} params - 模式参数，为 null 时关闭该模式
+ *   - LAYER: { layers: Map(图层 ID -> { color, opacity }) }
+ *   - TRANSPARENCY: { opacity }
+ *   - WIREFRAME: {}
+ *   - EDGE_OVERLAY: { hideSurface }
+ *   - HIGHLIGHT: { objects: Set<Mesh>, color, intensity }
+ *   - CLIPPING: { planes: Plane[], clipIntersection }
+ */
+export function setMaterialMode(model, mode, params) {
+  if (!model) return
+
+  let modes = modelModes.get(model)
+  if (!modes) {
+    modes = new Map()
+    modelModes.set(model, modes)
+  }
+
+  if (params) {
+    modes.set(mode, params)
+  } else if (modes.has(mode)) {
+    modes.delete(mode)
+  } else {
+    return
+  }
+
+  refreshMaterials(model)
+}
+
+/**
+ * 关闭模型的显示模式
+ * @param {Object3D} model - 模型根节点
+ * @param {string} mode - MaterialMode 中的模式
+ */
+export function clearMaterialMode(model, mode) {
+  setMaterialMode(model, mode, null)
+}
+
+/**
+ * 获取模型某个显示模式的参数
+ * @param {Object3D} model - 模型根节点
+ * @param {string} mode - MaterialMode 中的模式
+ * @returns {Object|null}
+ */
+export function getMaterialMode(model, mode) {
+  const modes = modelModes.get(model)
+  return (modes && modes.get(mode)) || null
+}
+
+/**
+ * 关闭所有显示模式，材质恢复原始状态
+ * @param {Object3D} model - 模型根节点
+ */
+export function resetMaterials(model) {
+  if (!model) return
+
+  modelModes.delete(model)
+  refreshMaterials(model)
+}
@@ -0,0 +1,334 @@
+/**
+ * 测量工具函数
+ * 距离、三点角度、图层表面积和闭合网格体积的计算，测量结果的 3D 标注和 CSV 导出
+ * 长度类数值以毫米保存（世界单位按 sectionBounds.mmPerWorldUnit 换算）
+ */
+
+import {
+  BufferGeometry,
+  CanvasTexture,
+  Float32BufferAttribute,
+  Group,
+  Line,
+  LineBasicMaterial,
+  Points,
+  PointsMaterial,
+  Sprite,
+  SpriteMaterial,
+  Vector3
+} from 'three'
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js'
+
+/**
+ * 测量类型（同时作为 sceneStore.toolMode 的取值，select 为普通选择模式）
+ */
+export const MeasurementType = {
+  DISTANCE: 'distance',
+  ANGLE: 'angle',
+  AREA: 'area',
+  VOLUME: 'volume'
+}
+
+// 各测量类型需要点击的表面点数（面积和体积点击图层即可）
+export const MEASUREMENT_POINT_COUNT = {
+  [MeasurementType.DISTANCE]: 2,
+  [MeasurementType.ANGLE]: 3,
+  [MeasurementType.AREA]: 1,
+  [MeasurementType.VOLUME]: 1
+}
+
+// 类型名称和单位
+const TYPE_LABELS = {
+  [MeasurementType.DISTANCE]: '距离',
+  [MeasurementType.ANGLE]: '角度',
+  [MeasurementType.AREA]: '表面积',
+  [MeasurementType.VOLUME]: '体积'
+}
+
+const TYPE_UNITS = {
+  [MeasurementType.DISTANCE]: 'mm',
+  [MeasurementType.ANGLE]: '°',
+  [MeasurementType.AREA]: 'mm²',
+  [MeasurementType.VOLUME]: 'mm³'
+}
+
+// 标注颜色
+const ANNOTATION_COLOR = '#ffd666'
+
+/**
+ * 获取测量类型的中文名称
+ * @param {string} type - MeasurementType
+ * @returns {string}
+ */
+export function getMeasurementTypeLabel(type) {
+  return TYPE_LABELS[type] || type
+}
+
+/**
+ * 两点距离（毫米）
+ * @param {number[]} a - 世界坐标
+ * @param {number[]} b - 世界坐标
+ * @param {number} mmPerWorldUnit - 世界单位对应的毫米数
+ * @returns {number}
+ */
+export function computeDistance(a, b, mmPerWorldUnit = 1) {
+  return new Vector3().fromArray(a).distanceTo(new Vector3().fromArray(b)) * mmPerWorldUnit
+}
+
+/**
+ * 三点角度（度），第二个点为顶点
+ * @param {number[]} a - 第一条边的端点
+ * @param {number[]} vertex - 顶点
+ * @param {number[]} c - 第二条边的端点
+ * @returns {number}
+ */
+export function computeAngle(a, vertex, c) {
+  const origin = new Vector3().fromArray(vertex)
+  const u = new Vector3().fromArray(a).sub(origin)
+  const v = new Vector3().fromArray(c).sub(origin)
+  if (u.lengthSq() === 0 || v.lengthSq() === 0) return 0
+  return u.angleTo(v) * 180 / Math.PI
+}
+
+/**
+ * 判断几何体是否闭合：按位置焊接顶点（忽略法线/UV 接缝）后，每条边恰好被两个三角形共用
+ * @param {BufferGeometry} geometry - 网格几何体
+ * @returns {boolean}
+ */
+export function isClosedGeometry(geometry) {
+  const source = new BufferGeometry()
+  source.setAttribute('position', geometry.getAttribute('position'))
+  if (geometry.index) source.setIndex(geometry.index)
+  const welded = mergeVertices(source)
+  const index = welded.index
+  const vertexCount = welded.getAttribute('position').count
+  const edgeUses = new Map()
+
+  for (let i = 0; i + 2 < index.count; i += 3) {
+    for (let k = 0; k < 3; k++) {
+      const v0 = index.getX(i + k)
+      const v1 = index.getX(i + (k + 1) % 3)
+      const key = Math.min(v0, v1) * vertexCount + Math.max(v0, v1)
+      edgeUses.set(key, (edgeUses.get(key) || 0) + 1)
+    }
+  }
+
+  source.dispose()
+  welded.dispose()
+
+  for (const uses of edgeUses.values()) {
+    if (uses !== 2) return false
+  }
+  return edgeUses.size > 0
+}
+
+/**
+ * 计算网格的表面积和体积（世界坐标，体积按散度定理累加有向四面体体积）
+ * 所有网格都闭合时体积才有意义，否则仅供参考
+ * @param {Mesh[]} meshes - 同一图层的网格
+ * @returns {Object} { area, volume, closed }（世界单位）
+ */
+export function computeMeshesAreaVolume(meshes) {
+  const a = new Vector3()
+  const b = new Vector3()
+  const c = new Vector3()
+  const ab = new Vector3()
+  const ac = new Vector3()
+  let area = 0
+  let volume = 0
+  let closed = meshes.length > 0
+
+  meshes.forEach((mesh) => {
+    const geometry = mesh.geometry
+    const position = geometry.getAttribute('position')
+    if (!position) return
+
+    const index = geometry.index
+    const vertexCount = index ? index.count : position.count
+    const getIndex = i => (index ? index.getX(i) : i)
+
+    mesh.updateWorldMatrix(true, false)
+    for (let i = 0; i + 2 < vertexCount; i += 3) {
+      a.fromBufferAttribute(position, getIndex(i)).applyMatrix4(mesh.matrixWorld)
+      b.fromBufferAttribute(position, getIndex(i + 1)).applyMatrix4(mesh.matrixWorld)
+      c.fromBufferAttribute(position, getIndex(i + 2)).applyMatrix4(mesh.matrixWorld)
+
+      area += ab.subVectors(b, a).cross(ac.subVectors(c, a)).length() / 2
+      volume += a.dot(ab.crossVectors(b, c)) / 6
+    }
+
+    if (closed && !isClosedGeometry(geometry)) closed = false
+  })
+
+  return { area, volume: Math.abs(volume), closed }
+}
+
+/**
+ * 格式化测量数值（按估算比例换算的长度、面积和体积前加 ≈）
+ * @param {Object} measurement - 测量记录 { type, value, scaleEstimated }
+ * @returns {string}
+ */
+export function formatMeasurementValue(measurement) {
+  const { type, value } = measurement
+  const prefix = measurement.scaleEstimated ? '≈' : ''
+  if (type === MeasurementType.VOLUME && value >= 1000) {
+    return `${prefix}${(value / 1000).toFixed(2)} cm³`
+  }
+  if (type === MeasurementType.AREA && value >= 100) {
+    return `${prefix}${(value / 100).toFixed(2)} cm²`
+  }
+  return `${prefix}${value.toFixed(type === MeasurementType.ANGLE ? 1 : 2)} ${TYPE_UNITS[type]}`
+}
+
+/**
+ * 测量标注的位置：距离取中点，角度取顶点，面积/体积取点击位置
+ * @param {Object} measurement - 测量记录
+ * @returns {Vector3}
+ */
+function getLabelPosition(measurement) {
+  const points = measurement.points.map(point => new Vector3().fromArray(point))
+  if (measurement.type === MeasurementType.DISTANCE) {
+    return points[0].clone().lerp(points[1], 0.5)
+  }
+  if (measurement.type === MeasurementType.ANGLE) {
+    return points[1]
+  }
+  return points[0]
+}
+
+/**
+ * 绘制文字标签纹理
+ * @param {string} text - 标签文字
+ * @returns {CanvasTexture}
+ */
+function createLabelTexture(text) {
+  const canvas = document.createElement('canvas')
+  const context = canvas.getContext('2d')
+  const font = '600 28px sans-serif'
+  context.font = font
+  canvas.width = Math.ceil(context.measureText(text).width) + 24
+  canvas.height = 44
+
+  context.font = font
+  context.fillStyle = 'rgba(0, 0, 0, 0.7)'
+  context.fillRect(0, 0, canvas.width, canvas.height)
+  context.fillStyle = ANNOTATION_COLOR
+  context.textBaseline = 'middle'
+  context.fillText(text, 12, canvas.height / 2 + 1)
+
+  return new CanvasTexture(canvas)
+}
+
+/**
+ * 创建测量点和折线（不受深度遮挡，始终可见）
+ * @param {number[][]} points - 世界坐标列表
+ * @param {boolean} connect - 是否连线
+ * @returns {Group}
+ */
+export function createMeasurementMarkers(points, connect = true) {
+  const group = new Group()
+  const positions = new Float32BufferAttribute(points.flat(), 3)
+
+  const pointGeometry = new BufferGeometry()
+  pointGeometry.setAttribute('position', positions)
+  const markers = new Points(pointGeometry, new PointsMaterial({
+    color: ANNOTATION_COLOR,
+    size: 8,
+    sizeAttenuation: false,
+    depthTest: false
+  }))
+  markers.renderOrder = 1000
+  group.add(markers)
+
+  if (connect && points.length > 1) {
+    const lineGeometry = new BufferGeometry()
+    lineGeometry.setAttribute('position', positions.clone())
+    const line = new Line(lineGeometry, new LineBasicMaterial({
+      color: ANNOTATION_COLOR,
+      depthTest: false
+    }))
+    line.renderOrder = 1000
+    group.add(line)
+  }
+
+  return group
+}
+
+/**
+ * 创建测量记录的 3D 标注（点、连线和数值标签）
+ * @param {Object} measurement - 测量记录
+ * @returns {Group}
+ */
+export function createMeasurementAnnotation(measurement) {
+  const connect = measurement.type === MeasurementType.DISTANCE || measurement.type === MeasurementType.ANGLE
+  const group = createMeasurementMarkers(measurement.points, connect)
+  group.name = `Measurement-${measurement.id}`
+
+  const text = `${measurement.name}  ${formatMeasurementValue(measurement)}`
+  const texture = createLabelTexture(text)
+  const label = new Sprite(new SpriteMaterial({
+    map: texture,
+    sizeAttenuation: false,
+    depthTest: false
+  }))
+  const height = 0.035
+  label.scale.set(height * texture.image.width / texture.image.height, height, 1)
+  label.center.set(0, 0)
+  label.position.copy(getLabelPosition(measurement))
+  label.renderOrder = 1001
+  group.add(label)
+
+  return group
+}
+
+/**
+ * 释放标注资源
+ * @param {Object3D} annotation - createMeasurementAnnotation / createMeasurementMarkers 的结果
+ */
+export function disposeMeasurementAnnotation(annotation) {
+  if (!annotation) return
+
+  if (annotation.parent) annotation.parent.remove(annotation)
+  annotation.traverse((child) => {
+    if (child.geometry) child.geometry.dispose()
+    if (child.material) {
+      if (child.material.map) child.material.map.dispose()
+      child.material.dispose()
+    }
+  })
+}
+
+/**
+ * CSV 字段转义
+ */
+function escapeCSV(value) {
+  const text = String(value ?? '')
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * 将测量记录导出为 CSV（带 BOM，便于表格软件识别中文）
+ * @param {Object[]} measurements - 测量记录列表
+ * @param {number} mmPerWorldUnit - 世界单位对应的毫米数（点坐标换算为毫米）
+ * @param {boolean} scaleEstimated - 毫米换算是否为估算值（点坐标列标注为估算）
+ * @returns {string}
+ */
+export function measurementsToCSV(measurements, mmPerWorldUnit = 1, scaleEstimated = false) {
+  const header = ['名称', '类型', '数值', '单位', '图层', '闭合', scaleEstimated ? '点坐标 (mm，估算)' : '点坐标 (mm)']
+  const rows = measurements.map((measurement) => {
+    const points = measurement.points
+      .map(point => point.map(value => (value * mmPerWorldUnit).toFixed(2)).join(' '))
+      .join('; ')
+    return [
+      measurement.name,
+      getMeasurementTypeLabel(measurement.type),
+      measurement.value.toFixed(4),
+      measurement.scaleEstimated ? `${TYPE_UNITS[measurement.type]}（估算）` : TYPE_UNITS[measurement.type],
+      measurement.layerName || '',
+      measurement.type === MeasurementType.VOLUME ? (measurement.closed ? '是' : '否') : '',
+      points
+    ].map(escapeCSV).join(',')
+  })
+
+  return '\ufeff' + [header.join(','), ...rows].join('\n')
+}
@@ -0,0 +1,398 @@
+/**
+ * 网格体素化工具函数
+ * 将模型网格体素化为有向距离场（世界单位，表面内部为负、外部为正），用于判断点是否在模型内部
+ * 以及点到表面的深度：
+ * - 沿 X/Y/Z 三个方向逐列做射线奇偶检测，三个方向多数表决，减少不闭合网格产生的条纹
+ * - 多个网格的内部取并集
+ * - 内外两侧分别做精确欧氏距离变换，合成有向距离场
+ */
+
+import { Box3, Vector3 } from 'three'
+import { requireRandom } from './random'
+
+// 默认体素分辨率（最长边的体素数）
+const DEFAULT_RESOLUTION = 96
+
+// 包围盒外扩的体素数，保证表面外侧至少有一层外部体素
+const PADDING_VOXELS = 2
+
+// 列中心的微小偏移，避免射线恰好穿过三角形公共边时被重复计数
+const COLUMN_JITTER = 1e-4
+
+// 模型 -> 体素化结果（同一模型的几何体不变，只计算一次）
+const volumeCache = new WeakMap()
+
+/**
+ * 收集模型网格的世界坐标三角形
+ * @param {Object3D} model - 模型根节点
+ * @returns {Float32Array[]} 每个网格一组三角形顶点 [x0, y0, z0, x1, ...]
+ */
+function collectMeshTriangles(model) {
+  const meshes = []
+  const vertex = new Vector3()
+
+  model.updateWorldMatrix(true, true)
+  model.traverse((child) => {
+    if (!child.isMesh || child.userData.overlay || !child.geometry) return
+
+    const position = child.geometry.getAttribute('position')
+    if (!position) return
+
+    const index = child.geometry.index
+    const count = index ? index.count : position.count
+    const triangles = new Float32Array(Math.floor(count / 3) * 9)
+    for (let i = 0; i < triangles.length / 3; i++) {
+      vertex.fromBufferAttribute(position, index ? index.getX(i) : i).applyMatrix4(child.matrixWorld)
+      triangles[i * 3] = vertex.x
+      triangles[i * 3 + 1] = vertex.y
+      triangles[i * 3 + 2] = vertex.z
+    }
+    if (triangles.length > 0) meshes.push(triangles)
+  })
+
+  return meshes
+}
+
+/**
+ * 沿一个坐标轴逐列做射线奇偶检测，内部体素的计数加一
+ * @param {Float32Array} triangles - 三角形顶点
+ * @param {number} axis - 射线方向（0/1/2 对应 X/Y/Z）
+ * @param {Object} grid - { dims, origin, voxelSize }
+ * @param {Uint8Array} counts - 各体素被判定为内部的次数
+ */
+function scanAxis(triangles, axis, grid, counts) {
+  const { dims, origin, voxelSize } = grid
+  const u = (axis + 1) % 3
+  const v = (axis + 2) % 3
+  const strides = [1, dims[0], dims[0] * dims[1]]
+  const columns = new Array(dims[u] * dims[v])
+
+  // 三角形投影到 (u, v) 平面，求覆盖的列中心处沿射线方向的交点坐标
+  for (let t = 0; t < triangles.length; t += 9) {
+    const au = triangles[t + u], av = triangles[t + v], aa = triangles[t + axis]
+    const bu = triangles[t + 3 + u], bv = triangles[t + 3 + v], ba = triangles[t + 3 + axis]
+    const cu = triangles[t + 6 + u], cv = triangles[t + 6 + v], ca = triangles[t + 6 + axis]
+
+    const area = (bu - au) * (cv - av) - (cu - au) * (bv - av)
+    if (Math.abs(area) < 1e-12) continue
+
+    const toColumn = (value, dim) => (value - origin[dim]) / voxelSize - 0.5
+    const iuMin = Math.max(0, Math.ceil(toColumn(Math.min(au, bu, cu), u)))
+    const iuMax = Math.min(dims[u] - 1, Math.floor(toColumn(Math.max(au, bu, cu), u)))
+    const ivMin = Math.max(0, Math.ceil(toColumn(Math.min(av, bv, cv), v)))
+    const ivMax = Math.min(dims[v] - 1, Math.floor(toColumn(Math.max(av, bv, cv), v)))
+
+    for (let iv = ivMin; iv <= ivMax; iv++) {
+      const pv = origin[v] + (iv + 0.5 + COLUMN_JITTER) * voxelSize
+      for (let iu = iuMin; iu <= iuMax; iu++) {
+        const pu = origin[u] + (iu + 0.5 + COLUMN_JITTER) * voxelSize
+
+        // 重心坐标（按投影面积归一化，三角形朝向不影响结果）
+        const w0 = ((bu - pu) * (cv - pv) - (cu - pu) * (bv - pv)) / area
+        const w1 = ((cu - pu) * (av - pv) - (au - pu) * (cv - pv)) / area
+        const w2 = 1 - w0 - w1
+        if (w0 < 0 || w1 < 0 || w2 < 0) continue
+
+        const column = iu + iv * dims[u]
+        if (!columns[column]) columns[column] = []
+        columns[column].push(w0 * aa + w1 * ba + w2 * ca)
+      }
+    }
+  }
+
+  // 交点排序后两两配对，配对区间内的体素为内部（多出的一个交点来自不闭合的网格，忽略）
+  for (let iv = 0; iv < dims[v]; iv++) {
+    for (let iu = 0; iu < dims[u]; iu++) {
+      const hits = columns[iu + iv * dims[u]]
+      if (!hits || hits.length < 2) continue
+
+      hits.sort((a, b) => a - b)
+      const base = iu * strides[u] + iv * strides[v]
+      for (let k = 0; k + 1 < hits.length; k += 2) {
+        const start = Math.max(0, Math.ceil((hits[k] - origin[axis]) / voxelSize - 0.5))
+        const end = Math.min(dims[axis] - 1, Math.floor((hits[k + 1] - origin[axis]) / voxelSize - 0.5))
+        for (let ia = start; ia <= end; ia++) {
+          counts[base + ia * strides[axis]]++
+        }
+      }
+    }
+  }
+}
+
+/**
+ * 一维平方欧氏距离变换（Felzenszwalb & Huttenlocher）
+ * @param {Float64Array} f - 输入（0 为源点，Infinity 为其他），原地写入结果
+ * @param {number} n - 长度
+ * @param {Int32Array} hull - 临时数组（长度 n）
+ * @param {Float64Array} bounds - 临时数组（长度 n + 1）
+ * @param {Float64Array} output - 临时数组（长度 n）
+ */
+function distanceTransform1D(f, n, hull, bounds, output) {
+  let k = 0
+  hull[0] = 0
+  bounds[0] = -Infinity
+  bounds[1] = Infinity
+
+  for (let q = 1; q < n; q++) {
+    if (f[q] === Infinity) continue
+    if (f[hull[k]] === Infinity) {
+      hull[k] = q
+      continue
+    }
+
+    let s = ((f[q] + q * q) - (f[hull[k]] + hull[k] * hull[k])) / (2 * q - 2 * hull[k])
+    while (s <= bounds[k]) {
+      k--
+      s = ((f[q] + q * q) - (f[hull[k]] + hull[k] * hull[k])) / (2 * q - 2 * hull[k])
+    }
+    k++
+    hull[k] = q
+    bounds[k] = s
+    bounds[k + 1] = Infinity
+  }
+
+  if (f[hull[0]] === Infinity) return
+
+  k = 0
+  for (let q = 0; q < n; q++) {
+    while (bounds[k + 1] < q) k++
+    output[q] = (q - hull[k]) * (q - hull[k]) + f[hull[k]]
+  }
+  for (let q = 0; q < n; q++) f[q] = output[q]
+}
+
+/**
+ * 三维平方欧氏距离变换：每个体素到最近源体素的平方距离（体素单位）
+ * @param {Uint8Array} mask - 体素掩码
+ * @param {number} source - 源体素的掩码值
+ * @param {number[]} dims - 体素尺寸
+ * @returns {Float64Array}
+ */
+function distanceTransform3D(mask, source, dims) {
+  const distances = new Float64Array(mask.length)
+  for (let i = 0; i < mask.length; i++) {
+    distances[i] = mask[i] === source ? 0 : Infinity
+  }
+
+  const maxDim = Math.max(...dims)
+  const line = new Float64Array(maxDim)
+  const hull = new Int32Array(maxDim)
+  const bounds = new Float64Array(maxDim + 1)
+  const output = new Float64Array(maxDim)
+  const strides = [1, dims[0], dims[0] * dims[1]]
+
+  for (let axis = 0; axis < 3; axis++) {
+    const u = (axis + 1) % 3
+    const v = (axis + 2) % 3
+    const n = dims[axis]
+    for (let iv = 0; iv < dims[v]; iv++) {
+      for (let iu = 0; iu < dims[u]; iu++) {
+        const base = iu * strides[u] + iv * strides[v]
+        for (let i = 0; i < n; i++) line[i] = distances[base + i * strides[axis]]
+        distanceTransform1D(line, n, hull, bounds, output)
+        for (let i = 0; i < n; i++) distances[base + i * strides[axis]] = line[i]
+      }
+    }
+  }
+
+  return distances
+}
+
+/**
+ * 将模型体素化为有向距离场（结果按模型缓存）
+ * @param {Object3D} model - 模型根节点
+ * @param {Object} options - 体素化参数
+ * @param {number} options.resolution - 最长边的体素数
+ * @returns {Object|null} { dims, origin, voxelSize, distances: Float32Array, insideCount }，没有网格时为 null
+ */
+export function createMeshVolume(model, options = {}) {
+  if (!model) return null
+
+  const { resolution = DEFAULT_RESOLUTION } = options
+  const cached = volumeCache.get(model)
+  if (cached && cached.resolution === resolution) return cached
+
+  const meshes = collectMeshTriangles(model)
+  if (meshes.length === 0) return null
+
+  const box = new Box3()
+  const point = new Vector3()
+  meshes.forEach((triangles) => {
+    for (let i = 0; i < triangles.length; i += 3) {
+      box.expandByPoint(point.fromArray(triangles, i))
+    }
+  })
+
+  const size = box.getSize(new Vector3())
+  const voxelSize = Math.max(size.x, size.y, size.z) / resolution
+  if (!(voxelSize > 0)) return null
+
+  box.expandByScalar(voxelSize * PADDING_VOXELS)
+  const grid = {
+    dims: box.getSize(new Vector3()).divideScalar(voxelSize).toArray().map(Math.ceil),
+    origin: box.min.toArray(),
+    voxelSize
+  }
+  const voxelCount = grid.dims[0] * grid.dims[1] * grid.dims[2]
+
+  // 每个网格三个方向多数表决，各网格的内部取并集
+  const inside = new Uint8Array(voxelCount)
+  const counts = new Uint8Array(voxelCount)
+  meshes.forEach((triangles) => {
+    counts.fill(0)
+    for (let axis = 0; axis < 3; axis++) {
+      scanAxis(triangles, axis, grid, counts)
+    }
+    for (let i = 0; i < voxelCount; i++) {
+      if (counts[i] >= 2) inside[i] = 1
+    }
+  })
+
+  // 内部体素取到最近外部体素的距离（负），外部体素取到最近内部体素的距离（正），表面约在两者中间
+  const toOutside = distanceTransform3D(inside, 0, grid.dims)
+  const toInside = distanceTransform3D(inside, 1, grid.dims)
+  const distances = new Float32Array(voxelCount)
+  let insideCount = 0
+  for (let i = 0; i < voxelCount; i++) {
+    if (inside[i]) {
+      distances[i] = -(Math.sqrt(toOutside[i]) - 0.5) * voxelSize
+      insideCount++
+    } else {
+      distances[i] = Number.isFinite(toInside[i]) ? (Math.sqrt(toInside[i]) - 0.5) * voxelSize : Infinity
+    }
+  }
+
+  const volume = { ...grid, resolution, distances, insideCount }
+  volumeCache.set(model, volume)
+  return volume
+}
+
+/**
+ * 采样点的有向距离（三线性插值，网格外返回 Infinity）
+ * @param {Object} volume - createMeshVolume 的结果
+ * @param {Vector3} point - 世界坐标
+ * @returns {number} 到表面的距离（内部为负）
+ */
+export function sampleSignedDistance(volume, point) {
+  const { dims, origin, voxelSize, distances } = volume
+  const gx = (point.x - origin[0]) / voxelSize - 0.5
+  const gy = (point.y - origin[1]) / voxelSize - 0.5
+  const gz = (point.z - origin[2]) / voxelSize - 0.5
+  if (gx < 0 || gy < 0 || gz < 0 || gx > dims[0] - 1 || gy > dims[1] - 1 || gz > dims[2] - 1) {
+    return Infinity
+  }
+
+  const x0 = Math.min(Math.floor(gx), dims[0] - 2)
+  const y0 = Math.min(Math.floor(gy), dims[1] - 2)
+  const z0 = Math.min(Math.floor(gz), dims[2] - 2)
+  const fx = gx - x0
+  const fy = gy - y0
+  const fz = gz - z0
+  const sx = 1
+  const sy = dims[0]
+  const sz = dims[0] * dims[1]
+  const i = x0 + y0 * sy + z0 * sz
+
+  const lerp = (a, b, t) => a + (b - a) * t
+  const c00 = lerp(distances[i], distances[i + sx], fx)
+  const c10 = lerp(distances[i + sy], distances[i + sy + sx], fx)
+  const c01 = lerp(distances[i + sz], distances[i + sz + sx], fx)
+  const c11 = lerp(distances[i + sz + sy], distances[i + sz + sy + sx], fx)
+  return lerp(lerp(c00, c10, fy), lerp(c01, c11, fy), fz)
+}
+
+/**
+ * 判断点是否在模型内部，且距表面至少 minDepth
+ * @param {Object} volume - createMeshVolume 的结果
+ * @param {Vector3} point - 世界坐标
+ * @param {number} minDepth - 最小深度（世界单位）
+ * @returns {boolean}
+ */
+export function isPointInsideVolume(volume, point, minDepth = 0) {
+  return sampleSignedDistance(volume, point) <= -minDepth
+}
+
+/**
+ * 判断点的深度是否在指定范围内
+ * @param {Object} volume - createMeshVolume 的结果
+ * @param {Vector3} point - 世界坐标
+ * @param {number} minDepth - 最小深度（世界单位）
+ * @param {number} maxDepth - 最大深度（世界单位），Infinity 表示不限
+ * @returns {boolean}
+ */
+export function isPointInDepthRange(volume, point, minDepth, maxDepth = Infinity) {
+  const depth = -sampleSignedDistance(volume, point)
+  return depth >= minDepth && depth <= maxDepth
+}
+
+/**
+ * 从起点沿方向前进，求保持在模型内部（深度不小于 minDepth）的最大距离
+ * @param {Object} volume - createMeshVolume 的结果
+ * @param {Vector3} origin - 起点（世界坐标）
+ * @param {Vector3} direction - 方向（已归一化）
+ * @param {number} maxLength - 最大探测距离
+ * @param {number} minDepth - 最小深度（世界单位）
+ * @returns {number}
+ */
+export function getMaxInsideDistance(volume, origin, direction, maxLength, minDepth = 0) {
+  const step = volume.voxelSize * 0.5
+  const point = new Vector3()
+
+  for (let distance = step; distance < maxLength; distance += step) {
+    point.copy(origin).addScaledVector(direction, distance)
+    if (!isPointInsideVolume(volume, point, minDepth)) {
+      return Math.max(0, distance - step)
+    }
+  }
+
+  point.copy(origin).addScaledVector(direction, maxLength)
+  return isPointInsideVolume(volume, point, minDepth) ? maxLength : Math.max(0, maxLength - step)
+}
+
+/**
+ * 收集深度在指定范围内的体素（供随机采样）
+ * @param {Object} volume - createMeshVolume 的结果
+ * @param {number} minDepth - 最小深度（世界单位）
+ * @param {number} maxDepth - 最大深度（世界单位），Infinity 表示不限
+ * @returns {Uint32Array} 体素索引
+ */
+export function collectVoxelsInDepthRange(volume, minDepth, maxDepth = Infinity) {
+  const { distances } = volume
+  const indices = []
+  for (let i = 0; i < distances.length; i++) {
+    const depth = -distances[i]
+    if (depth >= minDepth && depth <= maxDepth) indices.push(i)
+  }
+  return Uint32Array.from(indices)
+}
+
+/**
+ * 在指定深度范围内随机取一点（先随机选体素，再在体素内抖动并校验插值深度）
+ * @param {Object} volume - createMeshVolume 的结果
+ * @param {Uint32Array} voxels - collectVoxelsInDepthRange 的结果
+ * @param {number} minDepth - 最小深度（世界单位）
+ * @param {number} maxDepth - 最大深度（世界单位）
+ * @param {Function} random - 随机数函数，返回 [0, 1)（必须传入，保证结果可由种子复现）
+ * @returns {Vector3|null}
+ */
+export function sampleVolumePoint(volume, voxels, minDepth, maxDepth, random) {
+  requireRandom(random, 'sampleVolumePoint')
+  if (voxels.length === 0) return null
+
+  const { dims, origin, voxelSize } = volume
+  const point = new Vector3()
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const index = voxels[Math.floor(random() * voxels.length)]
+    const x = index % dims[0]
+    const y = Math.floor(index / dims[0]) % dims[1]
+    const z = Math.floor(index / (dims[0] * dims[1]))
+
+    point.set(
+      origin[0] + (x + random()) * voxelSize,
+      origin[1] + (y + random()) * voxelSize,
+      origin[2] + (z + random()) * voxelSize
+    )
+    if (isPointInDepthRange(volume, point, minDepth, maxDepth)) return point
+  }
+  return null
+}
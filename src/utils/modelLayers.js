@@ -0,0 +1,133 @@
+/**
+ * 模型图层工具函数
+ * 图层由模型的网格（glTF 节点）组成，支持按图层设置名称、颜色、显示和不透明度，
+ * 用户修改的图层设置按模型保存在 localStorage 中
+ */
+
+import { MaterialMode, setMaterialMode, getPristineState, cloneMaterial } from './materialState'
+
+// localStorage 键前缀
+const STORAGE_PREFIX = 'brain-demo:layers:'
+
+/**
+ * 读取模型保存的图层设置
+ * @param {string} modelId - 模型 ID
+ * @returns {Object} { [layerId]: { name, color, visible, opacity } }
+ */
+export function loadLayerSettings(modelId) {
+  if (!modelId) return {}
+
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_PREFIX + modelId)) || {}
+  } catch (error) {
+    console.warn('图层设置读取失败:', error)
+    return {}
+  }
+}
+
+/**
+ * 保存模型的图层设置（只保存用户可编辑的字段）
+ * @param {string} modelId - 模型 ID
+ * @param {Object[]} layers - 图层状态列表
+ */
+export function saveLayerSettings(modelId, layers) {
+  if (!modelId) return
+
+  const settings = {}
+  layers.forEach(({ id, name, color, visible, opacity }) => {
+    settings[id] = { name, color, visible, opacity }
+  })
+
+  try {
+    localStorage.setItem(STORAGE_PREFIX + modelId, JSON.stringify(settings))
+  } catch (error) {
+    console.warn('图层设置保存失败:', error)
+  }
+}
+
+/**
+ * 准备图层网格的材质：被多个图层共用的材质复制一份（副本继承原始状态）
+ * @param {Object[]} layers - assignModelLayers 的结果 [{ id, name, meshes }]
+ */
+export function prepareLayerMaterials(layers) {
+  const materialLayers = new Map()
+
+  layers.forEach((layer) => {
+    layer.meshes.forEach((mesh) => {
+      const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material]
+      materials.forEach((material) => {
+        if (!material) return
+        if (!materialLayers.has(material)) materialLayers.set(material, new Set())
+        materialLayers.get(material).add(layer.id)
+      })
+    })
+  })
+
+  layers.forEach((layer) => {
+    layer.meshes.forEach((mesh) => {
+      const cloneIfShared = (material) => {
+        if (!material || materialLayers.get(material).size <= 1) return material
+        return cloneMaterial(material)
+      }
+      mesh.material = Array.isArray(mesh.material)
+        ? mesh.material.map(cloneIfShared)
+        : cloneIfShared(mesh.material)
+    })
+  })
+}
+
+/**
+ * 由图层和保存的设置生成图层状态
+ * @param {Object[]} layers - assignModelLayers 的结果
+ * @param {Object} settings - loadLayerSettings 的结果
+ * @returns {Object[]} [{ id, name, color, visible, opacity, meshes: string[], defaults: { name, color, opacity } }]
+ */
+export function createLayerStates(layers, settings = {}) {
+  return layers.map((layer) => {
+    const mesh = layer.meshes[0]
+    const material = Array.isArray(mesh.material) ? mesh.material[0] : mesh.material
+    // 默认值取材质的原始状态，不受已开启的透视或网格视图影响
+    const pristine = material ? getPristineState(material) : {}
+    const defaults = {
+      name: layer.name,
+      color: pristine.color ? `#${pristine.color.getHexString()}` : '#ffffff',
+      opacity: pristine.transparent ? pristine.opacity : 1
+    }
+
+    return {
+      id: layer.id,
+      name: defaults.name,
+      color: defaults.color,
+      visible: true,
+      opacity: defaults.opacity,
+      ...settings[layer.id],
+      meshes: layer.meshes.map(child => child.name),
+      defaults
+    }
+  })
+}
+
+/**
+ * 将图层状态应用到模型网格：显示状态直接设置，颜色和不透明度作为图层显示模式叠加
+ * @param {Object3D} model - 模型根节点
+ * @param {Object[]} layers - 图层状态列表
+ * @param {Object} options - 应用参数
+ * @param {string|null} options.soloLayerId - 独显图层 ID（其余图层隐藏）
+ */
+export function applyLayerStates(model, layers, options = {}) {
+  if (!model) return
+
+  const { soloLayerId = null } = options
+  const layerMap = new Map(layers.map(layer => [layer.id, layer]))
+
+  model.traverse((child) => {
+    if (!child.isMesh) return
+
+    const layer = layerMap.get(child.userData.layer)
+    if (!layer) return
+
+    child.visible = soloLayerId ? layer.id === soloLayerId : layer.visible
+  })
+
+  setMaterialMode(model, MaterialMode.LAYER, layerMap.size > 0 ? { layers: layerMap } : null)
+}
@@ -1,12 +1,383 @@
-// 模型加载工具函数
+/**
+ * 模型加载工具函数
+ * 维护可用模型清单，负责模型加载（含本地文件导入）、标准化（缩放/居中）、图层标记和资源释放
+ */
 
-export function loadGLTFModel(path) {
-  // 模型加载逻辑
-  return Promise.resolve(null)
+import {
+  Box3,
+  Vector3,
+  MathUtils,
+  LoadingManager,
+  Mesh,
+  Points,
+  MeshStandardMaterial,
+  PointsMaterial,
+  DoubleSide
+} from 'three'
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js'
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js'
+import { PLYLoader } from 'three/examples/jsm/loaders/PLYLoader.js'
+
+/**
+ * 可用模型清单
+ * - path: glTF 文件路径（public 目录下）
+ * - credit: 许可与署名信息（CC-BY 要求展示）
+ * - transform: 默认变换，targetSize 为缩放后的最大边长，rotation 为欧拉角（度）
+ * - mmPerModelUnit: glTF 场景单位对应的毫米数，用于截面毫米读数
+ * - scaleEstimated: mmPerModelUnit 为估算值（原模型未标注真实尺寸），毫米读数、测量和导出标注为近似值
+ * - layers: 默认图层映射，按网格（glTF 节点）名或材质名将网格归入图层
+ */
+export const MODEL_MANIFEST = [
+  {
+    id: 'brain_3d',
+    name: '大脑（表面模型）',
+    path: '/models/brain_3d/scene.gltf',
+    credit: {
+      title: 'Brain 3D',
+      author: 'soufiane oujihi',
+      authorUrl: 'https://sketchfab.com/sararoujihi',
+      source: 'https://sketchfab.com/3d-models/brain-3d-33dd384ebe35410eaca42f21e14f14a3',
+      license: 'CC-BY-4.0',
+      licenseUrl: 'http://creativecommons.org/licenses/by/4.0/'
+    },
+    transform: {
+      targetSize: 2,
+      rotation: [0, 0, 0]
+    },
+    // 原模型未标注真实尺寸，按成人大脑前后径约 170 mm 估算（模型最长边约 0.99 单位）
+    mmPerModelUnit: 170,
+    scaleEstimated: true,
+    layers: [
+      { id: 'cortex', name: '大脑皮层', materials: ['material_0'] }
+    ]
+  },
+  {
+    id: 'brain_tumor_segmentation',
+    name: '脑肿瘤分割',
+    path: '/models/brain_tumor_segmentation/scene.gltf',
+    credit: {
+      title: 'Brain Tumor Segmentation',
+      author: 'aimee.kim',
+      authorUrl: 'https://sketchfab.com/aimee.kim',
+      source: 'https://sketchfab.com/3d-models/brain-tumor-segmentation-719d19c418c842d3a42bd0557855b1e2',
+      license: 'CC-BY-4.0',
+      licenseUrl: 'http://creativecommons.org/licenses/by/4.0/'
+    },
+    transform: {
+      targetSize: 2,
+      rotation: [0, 0, 0]
+    },
+    // 分割结果坐标以毫米为单位
+    mmPerModelUnit: 1,
+    layers: [
+      { id: 'edema', name: '瘤周水肿', meshes: ['Object_2'] },
+      { id: 'tumorCore', name: '肿瘤核心', meshes: ['Object_3'] },
+      { id: 'brain', name: '脑组织', meshes: ['Object_4', 'Object_5'] }
+    ]
+  }
+]
+
+// 默认加载的模型
+export const DEFAULT_MODEL_ID = MODEL_MANIFEST[0].id
+
+// 支持本地导入的模型格式（.bin 和贴图作为 glTF 的附属资源一同拖入）
+export const IMPORT_FORMATS = ['glb', 'gltf', 'obj', 'stl', 'ply']
+
+// 无自带颜色的导入网格依次使用的颜色
+const IMPORT_PALETTE = [0xf5c26b, 0x7ec8e3, 0x9be3a5, 0xc9a0e8, 0xf28b82, 0xe8a0a0]
+
+/**
+ * 根据 ID 获取模型清单条目
+ * @param {string} id - 模型 ID
+ * @returns {Object|undefined} 模型清单条目
+ */
+export function getModelEntry(id) {
+  return MODEL_MANIFEST.find(entry => entry.id === id)
+}
+
+/**
+ * 获取模型的署名文本（CC-BY 要求的格式）
+ * @param {Object} entry - 模型清单条目
+ * @returns {string} 署名文本
+ */
+export function getModelCreditText(entry) {
+  if (!entry || !entry.credit) return ''
+  const { title, author, license } = entry.credit
+  return `"${title}" by ${author}, licensed under ${license}`
+}
+
+/**
+ * 加载 glTF 模型
+ * @param {string} path - 模型路径
+ * @param {Function} onProgress - 加载进度回调 (percent: 0-100)
+ * @returns {Promise<Object>} glTF 对象（gltf.scene 为模型根节点）
+ */
+export function loadGLTFModel(path, onProgress = null) {
+  const loader = new GLTFLoader()
+
+  return new Promise((resolve, reject) => {
+    loader.load(
+      path,
+      resolve,
+      (progress) => {
+        if (onProgress && progress.total > 0) {
+          onProgress((progress.loaded / progress.total) * 100)
+        }
+      },
+      reject
+    )
+  })
+}
+
+/**
+ * 标准化模型：按默认变换旋转，缩放到目标大小并居中到原点
+ * @param {Object3D} model - 模型根节点
+ * @param {Object} transform - 默认变换 { targetSize, rotation }
+ * @returns {Object} { originalSize, center, scale }
+ */
+export function normalizeModel(model, transform = {}) {
+  const { targetSize = 2, rotation = [0, 0, 0] } = transform
+
+  model.rotation.set(...rotation.map(angle => MathUtils.degToRad(angle)))
+  model.scale.set(1, 1, 1)
+  model.position.set(0, 0, 0)
+  model.updateMatrixWorld(true)
+
+  // 计算模型边界框，用于自动调整位置和缩放
+  const box = new Box3().setFromObject(model)
+  const center = box.getCenter(new Vector3())
+  const size = box.getSize(new Vector3())
+
+  // 计算合适的缩放比例（使模型适合场景）
+  const maxDimension = Math.max(size.x, size.y, size.z) || 1
+  const scale = targetSize / maxDimension
+
+  model.scale.set(scale, scale, scale)
+  // 居中模型（将模型中心移到原点）
+  model.position.copy(center).multiplyScalar(-scale)
+  model.updateMatrixWorld(true)
+
+  return { originalSize: size, center, scale }
+}
+
+/**
+ * 按图层映射标记网格（写入 mesh.userData.layer）
+ * 未被映射覆盖的网格按 glTF 节点名各自成为一个图层
+ * @param {Object3D} model - 模型根节点
+ * @param {Object[]} layers - 图层映射 [{ id, name, meshes?, materials? }]
+ * @returns {Object[]} 实际包含网格的图层 [{ id, name, meshes: Mesh[] }]
+ */
+export function assignModelLayers(model, layers = []) {
+  const result = layers.map(layer => ({ id: layer.id, name: layer.name, meshes: [] }))
+  const nodeLayers = new Map()
+
+  model.traverse((child) => {
+    if (!child.isMesh) return
+
+    const materials = Array.isArray(child.material) ? child.material : [child.material]
+    const index = layers.findIndex(layer =>
+      (layer.meshes && layer.meshes.includes(child.name)) ||
+      (layer.materials && materials.some(material => material && layer.materials.includes(material.name)))
+    )
+
+    if (index >= 0) {
+      child.userData.layer = layers[index].id
+      result[index].meshes.push(child)
+      return
+    }
+
+    // 同名节点（多图元网格拆分出的子网格）归入同一图层
+    const id = child.name || `mesh_${nodeLayers.size + 1}`
+    if (!nodeLayers.has(id)) {
+      nodeLayers.set(id, { id, name: id, meshes: [] })
+    }
+    child.userData.layer = id
+    nodeLayers.get(id).meshes.push(child)
+  })
+
+  return [...result, ...nodeLayers.values()].filter(layer => layer.meshes.length > 0)
+}
+
+/**
+ * 加载清单中的模型，并完成标准化和图层标记
+ * @param {string|Object} model - 模型 ID 或清单条目
+ * @param {Function} onProgress - 加载进度回调 (percent: 0-100)
+ * @returns {Promise<Object>} { model, entry, layers, originalSize, scale }
+ */
+export async function loadModelWithLayers(model, onProgress = null) {
+  const entry = typeof model === 'string' ? getModelEntry(model) : model
+  if (!entry) {
+    throw new Error(`未知模型: ${model}`)
+  }
+
+  const gltf = await loadGLTFModel(entry.path, onProgress)
+  const root = gltf.scene
+  root.name = entry.id
+  root.userData.modelId = entry.id
+
+  const { originalSize, scale } = normalizeModel(root, entry.transform)
+  const layers = assignModelLayers(root, entry.layers)
+
+  return { model: root, entry, layers, originalSize, scale }
+}
+
+/**
+ * 获取文件扩展名（小写）
+ * @param {string} filename - 文件名
+ * @returns {string} 扩展名
+ */
+export function getFileExtension(filename) {
+  const index = filename.lastIndexOf('.')
+  return index >= 0 ? filename.slice(index + 1).toLowerCase() : ''
+}
+
+/**
+ * 由几何体创建网格（STL/PLY 只包含几何体）
+ * @param {BufferGeometry} geometry - 几何体
+ * @param {number} color - 无顶点颜色时使用的颜色
+ * @param {boolean} isPointCloud - 是否作为点云显示（没有面的 PLY）
+ * @returns {Mesh|Points} 网格或点云
+ */
+function createObjectFromGeometry(geometry, color, isPointCloud = false) {
+  const hasColors = Boolean(geometry.getAttribute('color'))
+
+  if (isPointCloud) {
+    return new Points(geometry, new PointsMaterial({
+      color: hasColors ? 0xffffff : color,
+      vertexColors: hasColors,
+      size: 0.01
+    }))
+  }
+
+  if (!geometry.getAttribute('normal')) {
+    geometry.computeVertexNormals()
+  }
+
+  return new Mesh(geometry, new MeshStandardMaterial({
+    color: hasColors ? 0xffffff : color,
+    vertexColors: hasColors,
+    metalness: 0.1,
+    roughness: 0.7,
+    side: DoubleSide
+  }))
+}
+
+/**
+ * 解析 glTF/GLB 文件
+ * @param {File} file - glTF 或 GLB 文件
+ * @param {LoadingManager} manager - 负责把外部资源映射到拖入文件的加载管理器
+ * @returns {Promise<Object3D>} 模型根节点
+ */
+async function parseGLTFFile(file, manager) {
+  const loader = new GLTFLoader(manager)
+  const data = getFileExtension(file.name) === 'glb' ? await file.arrayBuffer() : await file.text()
+
+  return new Promise((resolve, reject) => {
+    loader.parse(data, '', gltf => resolve(gltf.scene), reject)
+  })
 }
 
-export function loadModelWithLayers(path) {
-  // 带图层的模型加载逻辑
-  return Promise.resolve(null)
+/**
+ * 解析单个本地模型文件
+ * @param {File} file - 模型文件
+ * @param {LoadingManager} manager - 加载管理器
+ * @param {number} color - 默认颜色
+ * @returns {Promise<Object3D>} 模型对象
+ */
+async function parseModelFile(file, manager, color) {
+  switch (getFileExtension(file.name)) {
+    case 'glb':
+    case 'gltf':
+      return parseGLTFFile(file, manager)
+    case 'obj':
+      return new OBJLoader(manager).parse(await file.text())
+    case 'stl':
+      return createObjectFromGeometry(new STLLoader(manager).parse(await file.arrayBuffer()), color)
+    case 'ply': {
+      const geometry = new PLYLoader(manager).parse(await file.arrayBuffer())
+      // PLY 的面会被解析为索引，没有索引说明只有顶点
+      return createObjectFromGeometry(geometry, color, !geometry.index)
+    }
+    default:
+      throw new Error(`不支持的模型格式: ${file.name}`)
+  }
 }
 
+/**
+ * 从本地文件加载模型（拖放导入）
+ * glTF 引用的 .bin 和贴图按文件名从同一批文件中查找
+ * @param {File[]|FileList} files - 拖入的文件列表
+ * @returns {Promise<Object>} { models: [{ name, format, object }], errors: [{ name, error }] }
+ */
+export async function loadModelsFromFiles(files) {
+  const fileList = Array.from(files)
+
+  // 附属资源按文件名映射为 Object URL
+  const resourceUrls = new Map()
+  fileList.forEach((file) => {
+    resourceUrls.set(file.name, URL.createObjectURL(file))
+  })
+
+  const manager = new LoadingManager()
+  manager.setURLModifier((url) => {
+    if (url.startsWith('data:') || url.startsWith('blob:')) return url
+    const filename = decodeURIComponent(url.split(/[\\/]/).pop())
+    return resourceUrls.get(filename) || url
+  })
+
+  const models = []
+  const errors = []
+
+  try {
+    for (const file of fileList) {
+      const format = getFileExtension(file.name)
+      if (!IMPORT_FORMATS.includes(format)) continue
+
+      try {
+        const color = IMPORT_PALETTE[models.length % IMPORT_PALETTE.length]
+        const object = await parseModelFile(file, manager, color)
+        object.name = file.name
+        models.push({ name: file.name, format, object })
+      } catch (error) {
+        errors.push({ name: file.name, error })
+      }
+    }
+  } finally {
+    resourceUrls.forEach(url => URL.revokeObjectURL(url))
+  }
+
+  return { models, errors }
+}
+
+/**
+ * 释放模型的几何体、材质和贴图
+ * @param {Object3D} model - 模型根节点
+ */
+export function disposeModel(model) {
+  if (!model) return
+
+  if (model.parent) {
+    model.parent.remove(model)
+  }
+
+  model.traverse((child) => {
+    if (!child.isMesh && !child.isPoints) return
+
+    if (child.geometry) {
+      child.geometry.dispose()
+    }
+
+    const materials = Array.isArray(child.material) ? child.material : [child.material]
+    materials.forEach((material) => {
+      if (!material) return
+      // 释放材质引用的贴图
+      Object.values(material).forEach((value) => {
+        if (value && value.isTexture) {
+          value.dispose()
+        }
+      })
+      material.dispose()
+    })
+  })
+}
@@ -8,9 +8,34 @@
  * - 轴突：一个长分支，从细胞体延伸，传递信号
  * - 连接：轴突末端连接到其他神经元的树突（突触）
  * - 连接遵循距离衰减和小世界网络特性
+ *
+ * 渲染：细胞体为一个实例网格，神经突起和突触合并为少量线段缓冲区，
+ * 拾取时通过实例编号 / 线段编号反查神经元和突触
+ * 导入的 SWC 神经元（见 swc）与程序生成的神经元一起参与连接和信号仿真
+ * 信号：由 spikingNetwork 的脉冲神经网络仿真驱动细胞体闪烁和突触上的信号光点
+ * 随机数：生成和仿真都使用由网络种子派生的伪随机数（见 random），相同种子和参数得到相同的网络
  */
 
 import * as THREE from 'three'
+import {
+  createMeshVolume,
+  isPointInsideVolume,
+  isPointInDepthRange,
+  getMaxInsideDistance,
+  collectVoxelsInDepthRange,
+  sampleVolumePoint
+} from './meshVolume'
+import { createSpikingNetwork, advanceSpikingNetwork, forEachOutgoingSynapse } from './spikingNetwork'
+import { RandomStream, createRandom, generateSeed, requireRandom } from './random'
+import { createSwcNeuriteGeometry } from './swc'
+
+/**
+ * 神经元放置方式
+ */
+export const NeuronPlacement = {
+  VOLUME: 'volume', // 整个脑组织内部
+  SHELL: 'shell' // 表面以下一定深度内（近似皮层灰质）
+}
 
 /**
  * 检查点是否在边界框内（带安全边距）
@@ -73,308 +98,234 @@ function getMaxSafeDistance(position, direction, box, margin = 0.05) {
 }
 
 /**
- * 创建单个神经元（包含细胞体、树突、轴突）
+ * 检查点是否在边界内：边界可以是边界框，也可以是模型的体素距离场（createMeshVolume 的结果）
+ * @param {Vector3} point - 要检查的点
+ * @param {Box3|Object} boundary - 边界
+ * @param {number} margin - 安全边距（距离场为距表面的最小深度）
+ * @returns {boolean}
+ */
+function isPointInBoundary(point, boundary, margin) {
+  return boundary.isBox3
+    ? isPointInSafeBox(point, boundary, margin)
+    : isPointInsideVolume(boundary, point, margin)
+}
+
+/**
+ * 限制从起点沿方向延伸的长度，使末端留在边界内（留出 20% 安全余量）
+ * @param {Vector3} position - 起始位置
+ * @param {Vector3} direction - 方向向量（已归一化）
+ * @param {number} length - 期望长度
+ * @param {Box3|Object} boundary - 边界
+ * @param {number} margin - 安全边距
+ * @returns {number} 限制后的长度
+ */
+function getSafeLength(position, direction, length, boundary, margin) {
+  // 距离场只需探测到期望长度加上安全余量对应的距离
+  const maxLength = boundary.isBox3
+    ? getMaxSafeDistance(position, direction, boundary, margin)
+    : getMaxInsideDistance(boundary, position, direction, length / 0.8, margin)
+  return Math.min(length, maxLength * 0.8)
+}
+
+// 曲线分段数（所有神经突起和突触合并绘制，分段数决定顶点总数）
+const DENDRITE_SEGMENTS = 6
+const AXON_SEGMENTS = 10
+const SYNAPSE_SEGMENTS = 8
+
+// 每个线段缓冲区包含的神经元数（按空间顺序分块，射线检测时可先用包围球排除整块）
+const CHUNK_SIZE = 1024
+
+// 每个神经元最多考察的邻近神经元数和最多发出的突触数（连接数不随网络规模增长）
+const MAX_CONNECTION_CANDIDATES = 16
+const MAX_OUTGOING_SYNAPSES = 6
+
+// 颜色
+const SOMA_COLOR = 0xff6b6b // 红色
+const DENDRITE_COLOR = 0x00d4ff // 更饱和的青色，提高可见性
+const AXON_COLOR = 0xff8800 // 更饱和的橙红色，提高可见性
+const SYNAPSE_COLOR = 0x00ff88 // 更饱和的绿色，提高可见性
+
+// 同时显示的信号光点上限
+const MAX_SIGNAL_PULSES = 512
+
+/**
+ * 神经突起类型（线段缓冲区中记录每段所属的部分）
+ */
+export const NeuritePart = {
+  DENDRITE: 0,
+  AXON: 1
+}
+
+/**
+ * 球面均匀分布的随机方向（与 Vector3.randomDirection 算法相同，使用指定的随机数生成器）
+ * @param {Function} random - 随机数生成器
+ * @returns {Vector3}
+ */
+function randomDirection(random) {
+  const theta = random() * Math.PI * 2
+  const u = random() * 2 - 1
+  const c = Math.sqrt(1 - u * u)
+  return new THREE.Vector3(c * Math.cos(theta), u, c * Math.sin(theta))
+}
+
+/**
+ * 生成单个神经元的形态（细胞体位置、树突和轴突曲线）
  * @param {Vector3} position - 神经元位置
  * @param {number} somaSize - 细胞体大小
- * @param {Object} options - 神经元参数
- * @param {Box3} boundaryBox - 边界框（可选，用于限制神经元大小）
- * @returns {Object3D} 神经元对象
+ * @param {Object} options - 神经元参数（options.random 为随机数生成器，必须传入）
+ * @param {Box3|Object} boundary - 边界框或模型的体素距离场（可选，用于限制树突和轴突末端）
+ * @returns {Object} { position, somaSize, dendrites: Vector3[][], axons: Vector3[][], axonEnd }
  */
-export function createNeuron(position, somaSize = 0.01, options = {}, boundaryBox = null) {
+export function createNeuron(position, somaSize = 0.01, options = {}, boundary = null) {
+  const random = requireRandom(options.random, 'createNeuron')
   const {
-    dendriteCount = 3 + Math.floor(Math.random() * 5), // 3-7个树突
-    dendriteLength = 0.1 + Math.random() * 0.15, // 0.1-0.25
-    axonLength = 0.2 + Math.random() * 0.3, // 0.2-0.5
-    axonBranchProbability = 0.3 // 轴突分支概率
+    dendriteCount = 3 + Math.floor(random() * 5), // 3-7个树突
+    dendriteLength = 0.1 + random() * 0.15, // 0.1-0.25
+    axonLength = 0.2 + random() * 0.3, // 0.2-0.5
+    axonBranchProbability = 0.3, // 轴突分支概率
+    margin = 0.05 // 安全边距（距离场为末端距表面的最小深度）
   } = options
-  
-  const margin = 0.05 // 安全边距
 
-  const neuronGroup = new THREE.Group()
-  
-  // 1. 神经元细胞体（soma）
-  const somaGeometry = new THREE.SphereGeometry(somaSize, 8, 8)
-  const somaMaterial = new THREE.MeshStandardMaterial({
-    color: 0xff6b6b, // 红色
-    emissive: 0xff6b6b,
-    emissiveIntensity: 0.5
-  })
-  const soma = new THREE.Mesh(somaGeometry, somaMaterial)
-  soma.position.copy(position)
-  // 设置渲染顺序，确保神经元在透明物体之后渲染
-  soma.renderOrder = 999
-  neuronGroup.add(soma)
-  
-  // 2. 树突（dendrites）- 多个短分支，从细胞体向外辐射
   const dendrites = []
-  const dendriteMaterial = new THREE.LineBasicMaterial({
-    color: 0x00d4ff, // 更饱和的青色，提高可见性
-    transparent: false, // 不透明，确保始终可见
-    opacity: 1.0,
-    depthTest: true, // 启用深度测试，在透明模式下正确显示
-    depthWrite: false, // 禁用深度写入，避免影响透明模型
-    linewidth: 1 // 注意：WebGL 不支持 linewidth，但保留以兼容
-  })
-  
+  const axons = []
+
+  // 1. 树突（dendrites）- 多个短分支，从细胞体向外辐射
   for (let i = 0; i < dendriteCount; i++) {
     // 随机方向（球面均匀分布）
-    const theta = Math.random() * Math.PI * 2 // 方位角
-    const phi = Math.acos(2 * Math.random() - 1) // 极角
-    
-    let direction = new THREE.Vector3(
-      Math.sin(phi) * Math.cos(theta),
-      Math.sin(phi) * Math.sin(theta),
-      Math.cos(phi)
-    )
-    direction.normalize()
-    
+    const direction = randomDirection(random)
+
     // 树突长度（可能分支）
-    let length = dendriteLength * (0.7 + Math.random() * 0.6)
-    
-    // 如果提供了边界框，限制树突长度
-    if (boundaryBox) {
-      const maxLength = getMaxSafeDistance(position, direction, boundaryBox, margin)
-      length = Math.min(length, maxLength * 0.8) // 留出20%安全边距
+    let length = dendriteLength * (0.7 + random() * 0.6)
+
+    // 如果提供了边界，限制树突长度
+    if (boundary) {
+      length = getSafeLength(position, direction, length, boundary, margin)
     }
-    
-    const endPoint = position.clone().add(direction.multiplyScalar(length))
-    
+
+    const endPoint = position.clone().addScaledVector(direction, length)
+
     // 再次检查是否在边界内
-    if (!boundaryBox || isPointInSafeBox(endPoint, boundaryBox, margin)) {
-      // 创建树突曲线
-      const dendrite = createDendriteBranch(position, endPoint)
-      dendrite.material = dendriteMaterial
-      neuronGroup.add(dendrite)
-      dendrites.push(dendrite)
-      
-      // 30%概率添加树突分支
-      if (Math.random() < 0.3) {
-        const branchPoint = position.clone().add(direction.multiplyScalar(length * 0.6))
-        if (!boundaryBox || isPointInSafeBox(branchPoint, boundaryBox, margin)) {
-          let branchDirection = new THREE.Vector3().randomDirection()
-          branchDirection.normalize()
-          let branchLength = length * 0.4
-          
-          // 限制分支长度
-          if (boundaryBox) {
-            const maxBranchLength = getMaxSafeDistance(branchPoint, branchDirection, boundaryBox, margin)
-            branchLength = Math.min(branchLength, maxBranchLength * 0.8)
-          }
-          
-          const branchEnd = branchPoint.clone().add(branchDirection.multiplyScalar(branchLength))
-          if (!boundaryBox || isPointInSafeBox(branchEnd, boundaryBox, margin)) {
-            const branch = createDendriteBranch(branchPoint, branchEnd)
-            branch.material = dendriteMaterial
-            neuronGroup.add(branch)
-            dendrites.push(branch)
-          }
-        }
+    if (boundary && !isPointInBoundary(endPoint, boundary, margin)) continue
+
+    dendrites.push(createDendriteBranch(position, endPoint, random))
+
+    // 30%概率添加树突分支
+    if (random() < 0.3) {
+      const branchPoint = position.clone().addScaledVector(direction, length * 0.6)
+      const branchDirection = randomDirection(random)
+      let branchLength = length * 0.4
+
+      // 限制分支长度
+      if (boundary) {
+        branchLength = getSafeLength(branchPoint, branchDirection, branchLength, boundary, margin)
+      }
+
+      const branchEnd = branchPoint.clone().addScaledVector(branchDirection, branchLength)
+      if (!boundary || isPointInBoundary(branchEnd, boundary, margin)) {
+        dendrites.push(createDendriteBranch(branchPoint, branchEnd, random))
       }
     }
   }
-  
-  // 3. 轴突（axon）- 一个长分支，从细胞体延伸
-  let axonDirection = new THREE.Vector3().randomDirection()
-  axonDirection.normalize()
-  
+
+  // 2. 轴突（axon）- 一个长分支，从细胞体延伸
+  const axonDirection = randomDirection(random)
+
   let actualAxonLength = axonLength
-  // 如果提供了边界框，限制轴突长度
-  if (boundaryBox) {
-    const maxLength = getMaxSafeDistance(position, axonDirection, boundaryBox, margin)
-    actualAxonLength = Math.min(axonLength, maxLength * 0.8) // 留出20%安全边距
+  // 如果提供了边界，限制轴突长度
+  if (boundary) {
+    actualAxonLength = getSafeLength(position, axonDirection, axonLength, boundary, margin)
   }
-  
-  let axonEnd = position.clone().add(axonDirection.multiplyScalar(actualAxonLength))
-  let axon = null
-  const axonMaterial = new THREE.LineBasicMaterial({
-    color: 0xff8800, // 更饱和的橙红色，提高可见性
-    transparent: false, // 不透明，确保始终可见
-    opacity: 1.0,
-    depthTest: true, // 启用深度测试，在透明模式下正确显示
-    depthWrite: false, // 禁用深度写入，避免影响透明模型
-    linewidth: 1.5 // 注意：WebGL 不支持 linewidth，但保留以兼容
-  })
-  
+
+  let axonEnd = position.clone().addScaledVector(axonDirection, actualAxonLength)
+
   // 确保轴突末端在边界内
-  if (!boundaryBox || isPointInSafeBox(axonEnd, boundaryBox, margin)) {
-    axon = createAxonBranch(position, axonEnd)
-    axon.material = axonMaterial
-    neuronGroup.add(axon)
-    
+  if (!boundary || isPointInBoundary(axonEnd, boundary, margin)) {
+    axons.push(createAxonBranch(position, axonEnd, random))
+
     // 轴突可能分支（形成轴突末梢）
-    if (Math.random() < axonBranchProbability) {
-      const branchPoint = position.clone().add(axonDirection.multiplyScalar(actualAxonLength * 0.7))
-      if (!boundaryBox || isPointInSafeBox(branchPoint, boundaryBox, margin)) {
-        for (let i = 0; i < 2; i++) {
-          let branchDir = new THREE.Vector3().randomDirection()
-          branchDir.normalize()
-          let branchLength = actualAxonLength * 0.3
-          
-          // 限制分支长度
-          if (boundaryBox) {
-            const maxBranchLength = getMaxSafeDistance(branchPoint, branchDir, boundaryBox, margin)
-            branchLength = Math.min(branchLength, maxBranchLength * 0.8)
-          }
-          
-          const branchEnd = branchPoint.clone().add(branchDir.multiplyScalar(branchLength))
-          if (!boundaryBox || isPointInSafeBox(branchEnd, boundaryBox, margin)) {
-            const branch = createAxonBranch(branchPoint, branchEnd)
-            branch.material = axonMaterial
-            neuronGroup.add(branch)
-          }
+    if (random() < axonBranchProbability) {
+      const branchPoint = position.clone().addScaledVector(axonDirection, actualAxonLength * 0.7)
+      for (let i = 0; i < 2; i++) {
+        const branchDir = randomDirection(random)
+        let branchLength = actualAxonLength * 0.3
+
+        // 限制分支长度
+        if (boundary) {
+          branchLength = getSafeLength(branchPoint, branchDir, branchLength, boundary, margin)
+        }
+
+        const branchEnd = branchPoint.clone().addScaledVector(branchDir, branchLength)
+        if (!boundary || isPointInBoundary(branchEnd, boundary, margin)) {
+          axons.push(createAxonBranch(branchPoint, branchEnd, random))
         }
       }
     }
   } else {
-    // 如果轴突末端超出边界，调整方向或长度
-    const maxLength = getMaxSafeDistance(position, axonDirection, boundaryBox, margin)
-    const adjustedLength = Math.max(0.05, maxLength * 0.7)
-    axonEnd = position.clone().add(axonDirection.multiplyScalar(adjustedLength))
-    
-    axon = createAxonBranch(position, axonEnd)
-    axon.material = axonMaterial
-    neuronGroup.add(axon)
+    // 如果轴突末端超出边界，缩短长度（距离场中不设最短长度，避免末端穿出表面）
+    const maxLength = boundary.isBox3
+      ? getMaxSafeDistance(position, axonDirection, boundary, margin)
+      : getMaxInsideDistance(boundary, position, axonDirection, axonLength, margin)
+    const adjustedLength = Math.max(boundary.isBox3 ? 0.05 : 0, maxLength * 0.7)
+    axonEnd = position.clone().addScaledVector(axonDirection, adjustedLength)
+
+    axons.push(createAxonBranch(position, axonEnd, random))
   }
-  
-  // 存储神经元信息
-  neuronGroup.userData = {
-    type: 'neuron',
+
+  return {
     position: position.clone(),
-    soma: soma,
-    dendrites: dendrites,
-    axon: axon,
-    axonEnd: axonEnd, // 轴突末端位置（用于连接）
-    axonCurve: axon ? axon.userData.curve : null, // 保存轴突曲线
-    connections: [] // 突触连接列表
-  }
-  
-  // 如果轴突存在，保存其曲线信息
-  if (axon && axon.geometry) {
-    const positions = axon.geometry.attributes.position
-    if (positions) {
-      // 从几何体中重建曲线
-      const points = []
-      for (let i = 0; i < positions.count; i++) {
-        points.push(new THREE.Vector3(
-          positions.getX(i),
-          positions.getY(i),
-          positions.getZ(i)
-        ))
-      }
-      if (points.length > 0) {
-        neuronGroup.userData.axonCurve = new THREE.CatmullRomCurve3(points)
-      }
-    }
+    somaSize,
+    dendrites,
+    axons,
+    axonEnd // 轴突末端位置（用于连接）
   }
-  
-  return neuronGroup
 }
 
 /**
- * 创建树突分支（短而细的曲线）
+ * 生成轻微弯曲的曲线点（中点沿垂直方向随机偏移）
+ * @param {Vector3} from - 起点
+ * @param {Vector3} to - 终点
+ * @param {number} bend - 弯曲程度（相对长度）
+ * @param {number} segments - 分段数
+ * @param {Function} random - 随机数生成器
+ * @returns {Vector3[]} 曲线点
  */
-function createDendriteBranch(from, to) {
+function createBentCurvePoints(from, to, bend, segments, random) {
   const midPoint = new THREE.Vector3().addVectors(from, to).multiplyScalar(0.5)
   const direction = new THREE.Vector3().subVectors(to, from).normalize()
-  
-  // 轻微弯曲
+
   const perpendicular = new THREE.Vector3()
   if (Math.abs(direction.x) < 0.9) {
     perpendicular.set(1, 0, 0).cross(direction).normalize()
   } else {
     perpendicular.set(0, 1, 0).cross(direction).normalize()
   }
-  
-  const offset = perpendicular.multiplyScalar(from.distanceTo(to) * 0.1 * (Math.random() - 0.5))
+
+  const offset = perpendicular.multiplyScalar(from.distanceTo(to) * bend * (random() - 0.5))
   midPoint.add(offset)
-  
-  const curve = new THREE.CatmullRomCurve3([from, midPoint, to])
-  const points = curve.getPoints(30) // 增加点数使线条更平滑
-  const geometry = new THREE.BufferGeometry().setFromPoints(points)
-  
-  const line = new THREE.Line(geometry)
-  // 设置渲染顺序，确保线条在透明物体之后渲染（数值越大越后渲染）
-  line.renderOrder = 999
-  return line
+
+  const curve = new THREE.CatmullRomCurve3([from.clone(), midPoint, to.clone()])
+  return curve.getPoints(segments)
 }
 
 /**
- * 创建轴突分支（长而粗的曲线）
+ * 生成树突分支（短而细的曲线，轻微弯曲）
  */
-function createAxonBranch(from, to) {
-  const midPoint = new THREE.Vector3().addVectors(from, to).multiplyScalar(0.5)
-  const direction = new THREE.Vector3().subVectors(to, from).normalize()
-  
-  // 更明显的弯曲
-  const perpendicular = new THREE.Vector3()
-  if (Math.abs(direction.x) < 0.9) {
-    perpendicular.set(1, 0, 0).cross(direction).normalize()
-  } else {
-    perpendicular.set(0, 1, 0).cross(direction).normalize()
-  }
-  
-  const offset = perpendicular.multiplyScalar(from.distanceTo(to) * 0.2 * (Math.random() - 0.5))
-  midPoint.add(offset)
-  
-  const curve = new THREE.CatmullRomCurve3([from, midPoint, to])
-  const points = curve.getPoints(40) // 增加点数使线条更平滑
-  const geometry = new THREE.BufferGeometry().setFromPoints(points)
-  
-  const line = new THREE.Line(geometry)
-  // 设置渲染顺序，确保线条在透明物体之后渲染（数值越大越后渲染）
-  line.renderOrder = 999
-  // 保存曲线信息，用于动画
-  line.userData.curve = curve
-  return line
+function createDendriteBranch(from, to, random) {
+  return createBentCurvePoints(from, to, 0.1, DENDRITE_SEGMENTS, random)
 }
 
 /**
- * 创建突触连接（从轴突末端到树突）
- * @param {Vector3} axonEnd - 轴突末端位置
- * @param {Vector3} dendritePoint - 树突上的点
- * @returns {Line} 突触连接
+ * 生成轴突分支（长而粗的曲线，更明显的弯曲）
  */
-function createSynapse(axonEnd, dendritePoint) {
-  const distance = axonEnd.distanceTo(dendritePoint)
-  
-  // 使用更平滑的曲线连接
-  const midPoint = new THREE.Vector3().addVectors(axonEnd, dendritePoint).multiplyScalar(0.5)
-  const direction = new THREE.Vector3().subVectors(dendritePoint, axonEnd).normalize()
-  
-  const perpendicular = new THREE.Vector3()
-  if (Math.abs(direction.x) < 0.9) {
-    perpendicular.set(1, 0, 0).cross(direction).normalize()
-  } else {
-    perpendicular.set(0, 1, 0).cross(direction).normalize()
-  }
-  
-  const offset = perpendicular.multiplyScalar(distance * 0.3 * (Math.random() - 0.5))
-  midPoint.add(offset)
-  
-  const curve = new THREE.CatmullRomCurve3([axonEnd, midPoint, dendritePoint])
-  const points = curve.getPoints(30)
-  const geometry = new THREE.BufferGeometry().setFromPoints(points)
-  
-  const material = new THREE.LineBasicMaterial({
-    color: 0x00ff88, // 更饱和的绿色，提高可见性
-    transparent: true, // 启用透明度以支持动画效果
-    opacity: 1.0,
-    depthTest: true, // 启用深度测试，在透明模式下正确显示
-    depthWrite: false, // 禁用深度写入，避免影响透明模型
-    linewidth: 1 // 注意：WebGL 不支持 linewidth，但保留以兼容
-  })
-  
-  const synapse = new THREE.Line(geometry, material)
-  // 设置渲染顺序，确保线条在透明物体之后渲染（数值越大越后渲染）
-  synapse.renderOrder = 999
-  synapse.userData = {
-    type: 'synapse',
-    from: axonEnd,
-    to: dendritePoint,
-    active: false
-  }
-  
-  return synapse
+function createAxonBranch(from, to, random) {
+  return createBentCurvePoints(from, to, 0.2, AXON_SEGMENTS, random)
+}
+
+/**
+ * 生成突触连接曲线（从轴突末端到树突）
+ */
+function createSynapseCurve(axonEnd, dendritePoint, random) {
+  return createBentCurvePoints(axonEnd, dendritePoint, 0.3, SYNAPSE_SEGMENTS, random)
 }
 
 /**
@@ -396,27 +347,112 @@ function calculateConnectionProbability(distance, maxDistance, baseProbability)
 }
 
 /**
- * 创建神经元网络（基于真实生物学原理）
- * @param {Object3D} brainModel - 大脑模型
- * @param {number} count - 神经元数量
- * @param {number} connectionProbability - 基础连接概率
- * @returns {Object3D} 神经元网络组
+ * 按空间位置排序神经元（Morton 顺序），使相邻编号的神经元在空间上也相邻，
+ * 分块后的线段缓冲区包围球更紧凑
+ * @param {Object[]} neurons - 神经元形态列表
+ * @param {Box3} box - 模型边界框
  */
-export function createNeuronNetwork(brainModel, count = 50, connectionProbability = 0.3) {
-  const networkGroup = new THREE.Group()
-  networkGroup.name = 'NeuronNetwork'
-  
-  // 获取大脑模型的边界框
-  const box = new THREE.Box3()
-  if (brainModel) {
-    box.setFromObject(brainModel)
-  } else {
-    box.setFromCenterAndSize(new THREE.Vector3(0, 0, 0), new THREE.Vector3(2, 2, 2))
+function sortNeuronsSpatially(neurons, box) {
+  const size = box.getSize(new THREE.Vector3())
+  const cells = 16
+  const toCell = (value, min, extent) => Math.min(cells - 1, Math.max(0, Math.floor((value - min) / (extent || 1) * cells)))
+
+  const mortonKey = ({ position }) => {
+    const x = toCell(position.x, box.min.x, size.x)
+    const y = toCell(position.y, box.min.y, size.y)
+    const z = toCell(position.z, box.min.z, size.z)
+    let key = 0
+    for (let bit = 0; bit < 4; bit++) {
+      key |= ((x >> bit) & 1) << (bit * 3)
+      key |= ((y >> bit) & 1) << (bit * 3 + 1)
+      key |= ((z >> bit) & 1) << (bit * 3 + 2)
+    }
+    return key
   }
-  
-  const center = box.getCenter(new THREE.Vector3())
+
+  const keys = new Map(neurons.map(neuron => [neuron, mortonKey(neuron)]))
+  neurons.sort((a, b) => keys.get(a) - keys.get(b))
+}
+
+/**
+ * 建立神经元位置的均匀网格索引
+ * @param {Object[]} neurons - 神经元形态列表
+ * @param {number} cellSize - 网格边长
+ * @returns {Object} { cellSize, cells: Map(网格键 -> 神经元编号列表) }
+ */
+function createSpatialGrid(neurons, cellSize) {
+  const cells = new Map()
+  neurons.forEach(({ position }, index) => {
+    const key = getGridKey(
+      Math.floor(position.x / cellSize),
+      Math.floor(position.y / cellSize),
+      Math.floor(position.z / cellSize)
+    )
+    if (!cells.has(key)) cells.set(key, [])
+    cells.get(key).push(index)
+  })
+  return { cellSize, cells }
+}
+
+function getGridKey(x, y, z) {
+  return `${x},${y},${z}`
+}
+
+/**
+ * 查找距离某点最近的若干个神经元（由近及远逐层扩大搜索范围）
+ * @param {Object} grid - createSpatialGrid 的结果
+ * @param {Object[]} neurons - 神经元形态列表
+ * @param {Vector3} point - 查询点
+ * @param {number} count - 最多返回的数量
+ * @param {number} maxDistance - 最大距离
+ * @param {number} exclude - 排除的神经元编号
+ * @returns {Object[]} [{ index, distance }]，按距离排序
+ */
+function findNearestNeurons(grid, neurons, point, count, maxDistance, exclude) {
+  const { cellSize, cells } = grid
+  const cx = Math.floor(point.x / cellSize)
+  const cy = Math.floor(point.y / cellSize)
+  const cz = Math.floor(point.z / cellSize)
+  const maxRing = Math.ceil(maxDistance / cellSize)
+  const found = []
+
+  for (let ring = 0; ring <= maxRing; ring++) {
+    for (let dx = -ring; dx <= ring; dx++) {
+      for (let dy = -ring; dy <= ring; dy++) {
+        for (let dz = -ring; dz <= ring; dz++) {
+          // 只访问当前层的外壳
+          if (Math.max(Math.abs(dx), Math.abs(dy), Math.abs(dz)) !== ring) continue
+
+          const indices = cells.get(getGridKey(cx + dx, cy + dy, cz + dz))
+          if (!indices) continue
+          indices.forEach((index) => {
+            if (index === exclude) return
+            const distance = neurons[index].position.distanceTo(point)
+            if (distance < maxDistance) found.push({ index, distance })
+          })
+        }
+      }
+    }
+
+    // 已找到足够多的神经元，且都比未搜索的外层更近时停止
+    if (found.length >= count) {
+      found.sort((a, b) => a.distance - b.distance)
+      if (found[count - 1].distance <= ring * cellSize) break
+    }
+  }
+
+  found.sort((a, b) => a.distance - b.distance)
+  return found.slice(0, count)
+}
+
+/**
+ * 边界框放置方式（模型无法体素化时的后备方案）：在缩小并上移的边界框内放置
+ * @param {Box3} box - 模型边界框
+ * @param {Function} random - 随机数生成器
+ * @returns {Object} { boundary, neuriteMargin, axonEndMargin, clusterSize, sample(spread), accepts(point) }
+ */
+function createBoxPlacement(box, random) {
   const size = box.getSize(new THREE.Vector3())
-  const maxDistance = Math.min(size.x, size.y, size.z) * 0.4
   
   // 计算安全的内部范围（缩小范围，确保神经元和其轴突/树突都在内部）
   // 考虑到轴突和树突的最大长度，需要留出足够的边距
@@ -433,460 +469,698 @@ export function createNeuronNetwork(brainModel, count = 50, connectionProbabilit
   const safeCenter = safeBox.getCenter(new THREE.Vector3())
   const safeSize = safeBox.getSize(new THREE.Vector3())
   
-  // 创建神经元（使用更真实的分布）
-  const neurons = []
+  return {
+    boundary: box,
+    neuriteMargin: 0.05,
+    axonEndMargin: margin,
+    clusterSize: Math.min(safeSize.x, safeSize.y, safeSize.z) * 0.06,
+    sample: spread => new THREE.Vector3(
+      safeCenter.x + (random() - 0.5) * safeSize.x * spread,
+      safeCenter.y + (random() - 0.5) * safeSize.y * spread,
+      safeCenter.z + (random() - 0.5) * safeSize.z * spread
+    ),
+    accepts: point => safeBox.containsPoint(point) && box.containsPoint(point)
+  }
+}
+
+/**
+ * 体素距离场放置方式：胞体位于模型表面以内（皮层模式下限制在表面以下一定深度内），
+ * 树突和轴突末端也保持在表面以内
+ * @param {Object} volume - createMeshVolume 的结果
+ * @param {Object} options - 放置参数
+ * @param {string} options.placement - NeuronPlacement
+ * @param {number} options.shellDepth - 皮层模式的最大深度（世界单位）
+ * @param {number} options.somaSize - 胞体半径
+ * @param {Function} options.random - 随机数生成器
+ * @returns {Object|null} 同 createBoxPlacement，没有满足深度要求的体素时为 null
+ */
+function createVolumePlacement(volume, { placement, shellDepth, somaSize, random }) {
+  // 胞体至少位于表面以下一个体素（且不小于胞体直径），保证整个胞体在内部
+  const minDepth = Math.max(volume.voxelSize, somaSize * 2)
+  const maxDepth = placement === NeuronPlacement.SHELL
+    ? Math.max(shellDepth, minDepth + volume.voxelSize)
+    : Infinity
   
+  const voxels = collectVoxelsInDepthRange(volume, minDepth, maxDepth)
+  if (voxels.length === 0) return null
+  
+  const size = Math.min(...volume.dims) * volume.voxelSize
+  return {
+    boundary: volume,
+    neuriteMargin: volume.voxelSize * 0.5,
+    axonEndMargin: volume.voxelSize * 0.5,
+    clusterSize: size * 0.03,
+    sample: () => sampleVolumePoint(volume, voxels, minDepth, maxDepth, random),
+    accepts: point => isPointInDepthRange(volume, point, minDepth, maxDepth)
+  }
+}
+
+/**
+ * 创建神经元网络（基于真实生物学原理）
+ * 所有细胞体用一个实例网格绘制，树突、轴突和突触按空间分块合并为少量线段缓冲区（逐顶点颜色），
+ * 信号动画只更新实例属性和点缓冲区，网络规模可以达到上万个神经元
+ * @param {Object3D} brainModel - 大脑模型
+ * @param {number} count - 神经元数量
+ * @param {number} connectionProbability - 基础连接概率
+ * @param {Object} options - 放置参数
+ * @param {string} options.placement - 放置方式（NeuronPlacement）
+ * @param {number} options.shellDepth - 皮层模式下距表面的最大深度（世界单位）
+ * @param {number} options.seed - 随机种子（缺省时随机生成，保存在 userData.seed 中）
+ * @param {Object[]} options.swcNeurons - 导入的 SWC 神经元 [{ name, morphology, position: Vector3, scale, radiusScale }]
+ *   （scale 为每 μm 对应的世界单位，排在程序生成的神经元之后）
+ * @returns {Object3D} 神经元网络组，userData 中保存 { seed, neurons, synapses, somata, pulses, signals, swcOutside }
+ */
+export function createNeuronNetwork(brainModel, count = 50, connectionProbability = 0.3, options = {}) {
+  const {
+    placement: placementMode = NeuronPlacement.VOLUME,
+    shellDepth = 0.1,
+    seed = generateSeed(),
+    swcNeurons = []
+  } = options
+  const somaSize = 0.01
+  const random = createRandom(seed, RandomStream.NETWORK)
+
+  const networkGroup = new THREE.Group()
+  networkGroup.name = 'NeuronNetwork'
+
+  // 获取大脑模型的边界框
+  const box = new THREE.Box3()
+  if (brainModel) {
+    box.setFromObject(brainModel)
+  } else {
+    box.setFromCenterAndSize(new THREE.Vector3(0, 0, 0), new THREE.Vector3(2, 2, 2))
+  }
+
+  const size = box.getSize(new THREE.Vector3())
+  const maxDistance = Math.min(size.x, size.y, size.z) * 0.4
+
+  // 按模型的实际表面放置（点是否在网格内部由体素距离场判断），无法体素化时退回边界框
+  const volume = brainModel ? createMeshVolume(brainModel) : null
+  let placement = volume
+    ? createVolumePlacement(volume, { placement: placementMode, shellDepth, somaSize, random })
+    : null
+  if (!placement) {
+    if (brainModel) console.warn('模型无法体素化（网格不闭合或为空），神经元按边界框放置')
+    placement = createBoxPlacement(box, random)
+  }
+
+  // 生成神经元形态（使用更真实的分布）
+  const neurons = []
+
   // 使用泊松分布模拟神经元密度（局部聚类）
   const clusters = Math.floor(count / 10) // 创建聚类
-  let neuronIndex = 0
   let attempts = 0
   const maxAttempts = count * 10 // 防止无限循环
-  
-  for (let c = 0; c < clusters && neuronIndex < count && attempts < maxAttempts; c++) {
-    // 聚类中心（在安全范围内，进一步缩小范围）
-    const clusterCenter = new THREE.Vector3(
-      safeCenter.x + (Math.random() - 0.5) * safeSize.x * 0.35,
-      safeCenter.y + (Math.random() - 0.5) * safeSize.y * 0.35,
-      safeCenter.z + (Math.random() - 0.5) * safeSize.z * 0.35
-    )
-    
-    // 确保聚类中心在安全范围内
-    if (!safeBox.containsPoint(clusterCenter)) continue
-    
-    // 在聚类周围生成神经元（高斯分布，进一步减小聚类大小）
-    const clusterSize = Math.min(safeSize.x, safeSize.y, safeSize.z) * 0.06
-    const neuronsInCluster = Math.min(5 + Math.floor(Math.random() * 8), count - neuronIndex)
-    
-    for (let i = 0; i < neuronsInCluster && neuronIndex < count && attempts < maxAttempts; i++) {
+
+  /**
+   * 在指定位置尝试生成神经元（轴突末端不满足边界要求时放弃）
+   */
+  const tryCreateNeuron = (position) => {
+    const neuron = createNeuron(position, somaSize, { margin: placement.neuriteMargin, random }, placement.boundary)
+
+    // 验证神经元的所有关键点都在边界内
+    if (isPointInBoundary(neuron.axonEnd, placement.boundary, placement.axonEndMargin)) {
+      neurons.push(neuron)
+    }
+  }
+
+  for (let c = 0; c < clusters && neurons.length < count && attempts < maxAttempts; c++) {
+    // 聚类中心（在放置范围内）
+    const clusterCenter = placement.sample(0.35)
+    if (!clusterCenter || !placement.accepts(clusterCenter)) continue
+
+    // 在聚类周围生成神经元（高斯分布）
+    const clusterSize = placement.clusterSize
+    const neuronsInCluster = Math.min(5 + Math.floor(random() * 8), count - neurons.length)
+
+    for (let i = 0; i < neuronsInCluster && neurons.length < count && attempts < maxAttempts; i++) {
       attempts++
-      
+
       // 高斯分布偏移（进一步减小偏移范围）
       const offset = new THREE.Vector3(
-        (Math.random() + Math.random() + Math.random() + Math.random() - 2) * clusterSize * 0.25,
-        (Math.random() + Math.random() + Math.random() + Math.random() - 2) * clusterSize * 0.25,
-        (Math.random() + Math.random() + Math.random() + Math.random() - 2) * clusterSize * 0.25
+        (random() + random() + random() + random() - 2) * clusterSize * 0.25,
+        (random() + random() + random() + random() - 2) * clusterSize * 0.25,
+        (random() + random() + random() + random() - 2) * clusterSize * 0.25
       )
-      
+
       const position = clusterCenter.clone().add(offset)
-      
-      // 确保在大脑内部（使用原始边界框检查，但位置在安全范围内）
-      if (safeBox.containsPoint(position) && box.containsPoint(position)) {
-        // 创建神经元时传入边界框，让它在创建时就限制所有部分
-        const neuron = createNeuron(position, 0.01, {}, box)
-        
-        // 验证神经元的所有关键点都在边界内
-        const axonEnd = neuron.userData.axonEnd
-        if (isPointInSafeBox(axonEnd, box, margin)) {
-          neurons.push(neuron)
-          networkGroup.add(neuron)
-          neuronIndex++
-        }
+
+      // 确保在放置范围内（生成时传入边界，树突和轴突也限制在内部）
+      if (placement.accepts(position)) {
+        tryCreateNeuron(position)
       }
     }
   }
-  
-  // 补充剩余的神经元（均匀分布，在安全范围内，进一步缩小范围）
-  while (neuronIndex < count && attempts < maxAttempts) {
+
+  // 补充剩余的神经元（均匀分布在放置范围内）
+  while (neurons.length < count && attempts < maxAttempts) {
     attempts++
-    const position = new THREE.Vector3(
-      safeCenter.x + (Math.random() - 0.5) * safeSize.x * 0.4,
-      safeCenter.y + (Math.random() - 0.5) * safeSize.y * 0.4,
-      safeCenter.z + (Math.random() - 0.5) * safeSize.z * 0.4
-    )
-    
-    if (safeBox.containsPoint(position) && box.containsPoint(position)) {
-      // 创建神经元时传入边界框，让它在创建时就限制所有部分
-      const neuron = createNeuron(position, 0.01, {}, box)
-      
-      // 验证神经元的所有关键点都在边界内
-      const axonEnd = neuron.userData.axonEnd
-      if (isPointInSafeBox(axonEnd, box, margin)) {
-        neurons.push(neuron)
-        networkGroup.add(neuron)
-        neuronIndex++
-      }
+    const position = placement.sample(0.4)
+
+    if (position && placement.accepts(position)) {
+      tryCreateNeuron(position)
     }
   }
-  
-  // 创建突触连接（轴突到树突）
-  for (let i = 0; i < neurons.length; i++) {
-    const sourceNeuron = neurons[i]
-    const axonEnd = sourceNeuron.userData.axonEnd
-    
-    // 寻找目标神经元（轴突连接到其他神经元的树突）
-    for (let j = 0; j < neurons.length; j++) {
-      if (i === j) continue
-      
-      const targetNeuron = neurons[j]
-      const targetPosition = targetNeuron.userData.position
-      
-      const distance = axonEnd.distanceTo(targetPosition)
-      
-      // 计算连接概率（基于距离和生物学规则）
-      const prob = calculateConnectionProbability(distance, maxDistance, connectionProbability)
-      
-      if (Math.random() < prob && distance < maxDistance) {
+
+  // 神经元编号按空间顺序排列，同一块线段缓冲区中的神经元在空间上相邻
+  sortNeuronsSpatially(neurons, box)
+
+  // 导入的 SWC 神经元排在程序生成的神经元之后（不改变相同种子下程序生成部分的编号）
+  swcNeurons.forEach(swc => neurons.push(createSwcNeuron(swc, random)))
+  const swcOutside = neurons
+    .filter(neuron => neuron.swc && !isPointInBoundary(neuron.position, placement.boundary, 0))
+    .map(neuron => neuron.swc.name)
+
+  // 创建突触连接（轴突末端到邻近神经元的树突），只考察最近的若干个神经元
+  const synapses = []
+  const cellSize = Math.max(Math.cbrt((size.x * size.y * size.z) / Math.max(neurons.length, 1)) * 2, 1e-3)
+  const grid = createSpatialGrid(neurons, cellSize)
+
+  neurons.forEach((sourceNeuron, i) => {
+    // SWC 神经元从多个轴突末梢发出突触，传出突触总数上限相同
+    const terminals = sourceNeuron.axonTerminals || [sourceNeuron.axonEnd]
+    const perTerminal = Math.ceil(MAX_OUTGOING_SYNAPSES / Math.max(terminals.length, 1))
+    let outgoing = 0
+
+    terminals.forEach((axonEnd) => {
+      const candidates = findNearestNeurons(grid, neurons, axonEnd, MAX_CONNECTION_CANDIDATES, maxDistance, i)
+      let fromTerminal = 0
+
+      for (const { index: j, distance } of candidates) {
+        if (outgoing >= MAX_OUTGOING_SYNAPSES || fromTerminal >= perTerminal) break
+
+        // 计算连接概率（基于距离和生物学规则）
+        const prob = calculateConnectionProbability(distance, maxDistance, connectionProbability)
+        if (random() >= prob) continue
+
         // 在目标神经元附近选择一个点作为树突连接点
         // 模拟轴突末端连接到树突
+        const targetPosition = neurons[j].position
         const directionToTarget = new THREE.Vector3().subVectors(targetPosition, axonEnd).normalize()
         const dendriteConnectionPoint = targetPosition.clone().add(
-          directionToTarget.multiplyScalar(-0.05 - Math.random() * 0.05)
+          directionToTarget.multiplyScalar(-0.05 - random() * 0.05)
         )
-        
-        // 创建突触连接
-        const synapse = createSynapse(axonEnd, dendriteConnectionPoint)
-        networkGroup.add(synapse)
-        
-        sourceNeuron.userData.connections.push(synapse)
-        targetNeuron.userData.connections.push(synapse)
+
+        // 连接点同样需要在边界内（例如不落在脑沟中）
+        if (!isPointInBoundary(dendriteConnectionPoint, placement.boundary, placement.neuriteMargin)) continue
+
+        synapses.push({ source: i, target: j, points: createSynapseCurve(axonEnd, dendriteConnectionPoint, random) })
+        outgoing++
+        fromTerminal++
       }
-    }
+    })
+  })
+
+  // 合并绘制
+  const somata = createSomaMesh(neurons, somaSize)
+  networkGroup.add(somata)
+  createNeuriteLines(neurons).forEach(lines => networkGroup.add(lines))
+  createSwcNeuriteMeshes(neurons).forEach(mesh => networkGroup.add(mesh))
+  createSynapseLines(synapses).forEach(lines => networkGroup.add(lines))
+  const pulses = createSignalPulses()
+  networkGroup.add(pulses)
+
+  networkGroup.userData = {
+    type: 'neuronNetwork',
+    seed,
+    neurons: neurons.map(({ position, axonEnd, swc }) => ({ position, axonEnd, name: swc ? swc.name : null })),
+    synapses,
+    somata,
+    pulses,
+    signals: {
+      flashes: new Map(), // 神经元编号 -> 闪烁 { color, start, duration, intensity }
+      pulses: [] // 突触上的信号光点 [{ points, start, duration, color, onArrive }]
+    },
+    swcOutside // 胞体不在模型内部的 SWC 神经元名称
   }
-  
+
   return networkGroup
 }
 
 /**
- * 创建信号传播光点（沿着曲线移动）
- * @param {THREE.Curve} curve - 曲线路径
- * @param {THREE.Object3D} parent - 父对象（用于添加到场景）
- * @param {number} duration - 动画时长（毫秒）
- * @param {number} color - 光点颜色（十六进制）
- * @returns {THREE.Object3D} 信号光点对象
+ * 将导入的 SWC 形态放置到网络中
+ * @param {Object} swc - { name, morphology, position, scale, radiusScale }
+ * @param {Function} random - 随机数生成器
+ * @returns {Object} 与 createNeuron 结果相同的结构（突起单独绘制，dendrites/axons 为空），另含 axonTerminals 和 swc
  */
-function createSignalPulse(curve, parent, duration = 400, color = 0x00ffff, size = 0.015) { // 默认频率提高一倍（800ms -> 400ms）
-  if (!curve || !parent) return null
-  
-  // 创建信号光点（小球体）
-  const pulseGeometry = new THREE.SphereGeometry(size, 8, 8)
-  const pulseMaterial = new THREE.MeshBasicMaterial({
-    color: color,
-    emissive: color,
-    emissiveIntensity: 2.0, // 增强发光强度
-    transparent: true,
-    opacity: 1.0,
-    depthTest: false, // 禁用深度测试，确保始终可见
-    depthWrite: false
-  })
-  const pulse = new THREE.Mesh(pulseGeometry, pulseMaterial)
-  pulse.renderOrder = 1000
-  
-  // 立即添加到场景
-  if (parent) {
-    parent.add(pulse)
+function createSwcNeuron(swc, random) {
+  const { morphology, position, scale } = swc
+  const toWorld = point => new THREE.Vector3(...point).multiplyScalar(scale).add(position)
+
+  // 参与连接的轴突末梢：随机选取，数量不超过传出突触上限（没有轴突的重建只接收连接）
+  const terminals = [...morphology.axonTerminals]
+  for (let i = 0; i < Math.min(terminals.length, MAX_OUTGOING_SYNAPSES); i++) {
+    const j = i + Math.floor(random() * (terminals.length - i))
+    ;[terminals[i], terminals[j]] = [terminals[j], terminals[i]]
   }
-  
-  // 设置初始位置（曲线起点）
-  const startPoint = curve.getPoint(0)
-  pulse.position.copy(startPoint)
-  
-  const startTime = Date.now()
-  let animationId = null
-  
-  function animate() {
-    const elapsed = Date.now() - startTime
-    const progress = elapsed / duration
-    
-    if (progress < 1) {
-      // 沿着曲线移动
-      const point = curve.getPoint(progress)
-      pulse.position.copy(point)
-      
-      // 脉冲效果：大小和透明度变化
-      const intensity = Math.sin(progress * Math.PI * 2) * 0.2 + 0.8
-      pulse.scale.setScalar(intensity)
-      pulseMaterial.opacity = intensity
-      
-      animationId = requestAnimationFrame(animate)
-    } else {
-      // 动画结束，移除光点
-      if (parent) {
-        parent.remove(pulse)
-      }
-      pulseGeometry.dispose()
-      pulseMaterial.dispose()
-      if (animationId) {
-        cancelAnimationFrame(animationId)
-      }
-    }
+  const axonTerminals = terminals.slice(0, MAX_OUTGOING_SYNAPSES).map(toWorld)
+
+  return {
+    position: position.clone(),
+    somaSize: morphology.soma.radius * scale,
+    dendrites: [],
+    axons: [],
+    axonEnd: axonTerminals[0] || position.clone(),
+    axonTerminals,
+    swc
   }
-  
-  animate()
-  return pulse
 }
 
 /**
- * 创建神经信号传播动画（从神经元细胞体沿轴突传播，再通过突触传递）
- * @param {Object3D} sourceNeuron - 源神经元
- * @param {Object3D} targetNeuron - 目标神经元（可选）
- * @param {Line} synapse - 突触连接（可选）
- * @param {THREE.Object3D} scene - 场景对象
- * @returns {Object} 动画控制对象
+ * 创建 SWC 神经元的突起网格（管状，半径来自文件）
+ * @param {Object[]} neurons - 神经元形态列表
+ * @returns {Mesh[]}
  */
-export function animateNeuralSignalPropagation(sourceNeuron, targetNeuron = null, synapse = null, scene = null) {
-  if (!sourceNeuron || !sourceNeuron.userData) return null
-  if (!scene) scene = window.scene
-  if (!scene) return null
-  
-  const signals = []
-  let completed = false
-  
-  // 1. 首先在源神经元细胞体上闪烁，表示信号产生（蓝色）
-  if (sourceNeuron.userData.soma) {
-    const soma = sourceNeuron.userData.soma
-    const originalEmissive = soma.material.emissive.clone()
-    const originalIntensity = soma.material.emissiveIntensity
-    
-    let flashStart = Date.now()
-    const flashDuration = 75 // 频率提高一倍（150ms -> 75ms）
-    function sourceFlash() {
-      const elapsed = Date.now() - flashStart
-      const progress = elapsed / flashDuration
-      
-      if (progress < 1) {
-        const intensity = Math.sin(progress * Math.PI)
-        soma.material.emissive.setHex(0x0088ff) // 蓝色，表示信号产生
-        soma.material.emissiveIntensity = originalIntensity + intensity * 0.8
-        requestAnimationFrame(sourceFlash)
-      } else {
-        soma.material.emissive.copy(originalEmissive)
-        soma.material.emissiveIntensity = originalIntensity
-      }
+function createSwcNeuriteMeshes(neurons) {
+  let material = null
+  const meshes = []
+
+  neurons.forEach((neuron, index) => {
+    if (!neuron.swc) return
+
+    const { name, morphology, scale, radiusScale } = neuron.swc
+    const { geometry, faceTypes } = createSwcNeuriteGeometry(morphology, { radiusScale })
+    if (!material) {
+      material = new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 0.6 })
     }
-    sourceFlash()
+
+    const mesh = new THREE.Mesh(geometry, material)
+    mesh.name = `SwcNeurites-${name}`
+    mesh.position.copy(neuron.position)
+    mesh.scale.setScalar(scale)
+    mesh.renderOrder = 999
+    mesh.userData = { type: 'swcNeurites', neuronIndex: index, faceTypes }
+    meshes.push(mesh)
+  })
+
+  return meshes
+}
+
+/**
+ * 创建细胞体实例网格（信号闪烁通过实例属性 activation 叠加自发光，不修改材质）
+ * @param {Object[]} neurons - 神经元形态列表
+ * @param {number} somaSize - 细胞体大小
+ * @returns {InstancedMesh}
+ */
+function createSomaMesh(neurons, somaSize) {
+  const geometry = new THREE.SphereGeometry(somaSize, 8, 8)
+  // activation：rgb 为闪烁颜色，a 为强度
+  const activation = new THREE.InstancedBufferAttribute(new Float32Array(neurons.length * 4), 4)
+  activation.setUsage(THREE.DynamicDrawUsage)
+  geometry.setAttribute('activation', activation)
+
+  const material = new THREE.MeshStandardMaterial({
+    color: SOMA_COLOR,
+    emissive: SOMA_COLOR,
+    emissiveIntensity: 0.5
+  })
+  material.onBeforeCompile = (shader) => {
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', '#include <common>\nattribute vec4 activation;\nvarying vec4 vActivation;')
+      .replace('#include <begin_vertex>', '#include <begin_vertex>\nvActivation = activation;')
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', '#include <common>\nvarying vec4 vActivation;')
+      .replace(
+        '#include <emissivemap_fragment>',
+        '#include <emissivemap_fragment>\ntotalEmissiveRadiance += vActivation.rgb * vActivation.a;'
+      )
   }
-  
-  // 2. 直接通过突触传递（跳过轴突传播）
-  setTimeout(() => {
-    if (synapse && synapse.geometry && targetNeuron) {
-      const synapsePositions = synapse.geometry.attributes.position
-      if (synapsePositions && synapsePositions.count > 0) {
-        const synapsePoints = []
-        for (let i = 0; i < synapsePositions.count; i++) {
-          synapsePoints.push(new THREE.Vector3(
-            synapsePositions.getX(i),
-            synapsePositions.getY(i),
-            synapsePositions.getZ(i)
-          ))
-        }
-        
-        if (synapsePoints.length > 0) {
-          const synapseCurve = new THREE.CatmullRomCurve3(synapsePoints)
-          // 突触传递：使用绿色光点（与突触颜色一致）
-          const synapsePulse = createSignalPulse(synapseCurve, scene, 300, 0x00ff00, 0.012) // 频率提高一倍（600ms -> 300ms）
-          if (synapsePulse && scene) {
-            scene.add(synapsePulse)
-            signals.push(synapsePulse)
-            
-            // 突触传递完成后，在目标神经元细胞体上闪烁（黄色，表示信号接收）
-            setTimeout(() => {
-              if (targetNeuron && targetNeuron.userData.soma) {
-                const soma = targetNeuron.userData.soma
-                const originalEmissive = soma.material.emissive.clone()
-                const originalIntensity = soma.material.emissiveIntensity
-                
-                let flashTime = Date.now()
-                const flashDuration = 100 // 频率提高一倍（200ms -> 100ms）
-                function flash() {
-                  const elapsed = Date.now() - flashTime
-                  const progress = elapsed / flashDuration
-                  
-                  if (progress < 1) {
-                    const intensity = Math.sin(progress * Math.PI)
-                    soma.material.emissive.setHex(0xffff00) // 黄色，表示信号接收
-                    soma.material.emissiveIntensity = originalIntensity + intensity * 0.5
-                    requestAnimationFrame(flash)
-                  } else {
-                    soma.material.emissive.copy(originalEmissive)
-                    soma.material.emissiveIntensity = originalIntensity
-                    completed = true
-                  }
-                }
-                flash()
-              } else {
-                completed = true
-              }
-            }, 300) // 频率提高一倍（600ms -> 300ms）
-          }
-        }
-      }
-    } else {
-      completed = true
+
+  const mesh = new THREE.InstancedMesh(geometry, material, neurons.length)
+  // SWC 神经元的胞体按文件中的半径缩放
+  const matrix = new THREE.Matrix4()
+  const quaternion = new THREE.Quaternion()
+  const scale = new THREE.Vector3()
+  neurons.forEach((neuron, index) => {
+    scale.setScalar(neuron.somaSize / somaSize)
+    mesh.setMatrixAt(index, matrix.compose(neuron.position, quaternion, scale))
+  })
+  mesh.instanceMatrix.needsUpdate = true
+  mesh.computeBoundingSphere()
+
+  mesh.name = 'NeuronSomata'
+  // 设置渲染顺序，确保神经元在透明物体之后渲染
+  mesh.renderOrder = 999
+  mesh.userData.type = 'somata'
+  return mesh
+}
+
+/**
+ * 将折线合并为线段几何体（逐顶点颜色），并记录每个线段所属的对象编号和部分
+ * @param {Object[]} polylines - [{ points: Vector3[], color: Color, id, part }]
+ * @returns {Object} { geometry, segmentIds: Uint32Array, segmentParts: Uint8Array }
+ */
+function createPolylineSegments(polylines) {
+  let segmentCount = 0
+  polylines.forEach(({ points }) => { segmentCount += points.length - 1 })
+
+  const positions = new Float32Array(segmentCount * 6)
+  const colors = new Uint8Array(segmentCount * 6)
+  const segmentIds = new Uint32Array(segmentCount)
+  const segmentParts = new Uint8Array(segmentCount)
+
+  let segment = 0
+  polylines.forEach(({ points, color, id, part = 0 }) => {
+    const rgb = [color.r, color.g, color.b].map(value => Math.round(value * 255))
+    for (let i = 0; i + 1 < points.length; i++) {
+      points[i].toArray(positions, segment * 6)
+      points[i + 1].toArray(positions, segment * 6 + 3)
+      for (let k = 0; k < 6; k++) colors[segment * 6 + k] = rgb[k % 3]
+      segmentIds[segment] = id
+      segmentParts[segment] = part
+      segment++
     }
-  }, 75) // 源神经元闪烁后立即开始突触传递（频率提高一倍，150ms -> 75ms）
-  
-  return {
-    signals,
-    completed: () => completed
+  })
+
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3))
+  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3, true))
+  geometry.computeBoundingSphere()
+  return { geometry, segmentIds, segmentParts }
+}
+
+/**
+ * 创建线条材质（逐顶点颜色）
+ */
+function createLineMaterial() {
+  return new THREE.LineBasicMaterial({
+    vertexColors: true,
+    transparent: false, // 不透明，确保始终可见
+    depthTest: true, // 启用深度测试，在透明模式下正确显示
+    depthWrite: false // 禁用深度写入，避免影响透明模型
+  })
+}
+
+/**
+ * 创建树突和轴突线段（按神经元编号分块）
+ * @param {Object[]} neurons - 神经元形态列表
+ * @returns {LineSegments[]}
+ */
+function createNeuriteLines(neurons) {
+  const material = createLineMaterial()
+  const dendriteColor = new THREE.Color(DENDRITE_COLOR)
+  const axonColor = new THREE.Color(AXON_COLOR)
+  const chunks = []
+
+  for (let start = 0; start < neurons.length; start += CHUNK_SIZE) {
+    const polylines = []
+    neurons.slice(start, start + CHUNK_SIZE).forEach((neuron, offset) => {
+      const id = start + offset
+      neuron.dendrites.forEach(points => polylines.push({ points, color: dendriteColor, id, part: NeuritePart.DENDRITE }))
+      neuron.axons.forEach(points => polylines.push({ points, color: axonColor, id, part: NeuritePart.AXON }))
+    })
+
+    const { geometry, segmentIds, segmentParts } = createPolylineSegments(polylines)
+    const lines = new THREE.LineSegments(geometry, material)
+    lines.name = `NeuronNeurites-${chunks.length}`
+    // 设置渲染顺序，确保线条在透明物体之后渲染（数值越大越后渲染）
+    lines.renderOrder = 999
+    lines.userData = { type: 'neurites', segmentNeurons: segmentIds, segmentParts }
+    chunks.push(lines)
   }
+
+  return chunks
 }
 
 /**
- * 创建神经信号脉冲动画（沿连接线传播 - 兼容旧版本）
- * @param {Line} connection - 连接线（轴突或突触）
- * @param {number} duration - 动画时长（毫秒）
+ * 创建突触连接线段（按源神经元所在的块分块）
+ * @param {Object[]} synapses - [{ source, target, points }]，按源神经元编号排列
+ * @returns {LineSegments[]}
  */
-export function animateNeuralSignal(connection, duration = 500) { // 默认频率提高一倍（1000ms -> 500ms）
-  if (!connection || !connection.userData || !connection.material) return
-  
-  // 如果连接正在动画中，跳过
-  if (connection.userData.active) return
-  
-  const startTime = Date.now()
-  const material = connection.material
-  const originalColor = material.color.clone()
-  const originalOpacity = material.opacity || 1.0
-  
-  // 确保材质可以更新
-  material.needsUpdate = true
-  material.transparent = true
-  
-  let animationId = null
-  
-  function animate() {
-    const elapsed = Date.now() - startTime
-    const progress = elapsed / duration
-    
-    if (progress < 1) {
-      // 创建渐变效果：信号从起点传播到终点
-      const intensity = Math.sin(progress * Math.PI) // 0 到 1 再到 0
-      
-      // 颜色变化：从原始颜色到亮青色
-      const brightColor = new THREE.Color(0x00ffff) // 亮青色
-      material.color.lerpColors(originalColor, brightColor, intensity)
-      
-      // 透明度变化
-      material.transparent = true
-      material.opacity = originalOpacity + intensity * (1.0 - originalOpacity) * 0.5
-      
-      material.needsUpdate = true
-      animationId = requestAnimationFrame(animate)
-    } else {
-      // 动画结束，恢复原始状态
-      material.color.copy(originalColor)
-      material.opacity = originalOpacity
-      material.transparent = true
-      material.needsUpdate = true
-      connection.userData.active = false
-    }
+function createSynapseLines(synapses) {
+  const material = createLineMaterial()
+  const color = new THREE.Color(SYNAPSE_COLOR)
+  const chunks = []
+
+  let start = 0
+  while (start < synapses.length) {
+    const chunk = Math.floor(synapses[start].source / CHUNK_SIZE)
+    let end = start
+    while (end < synapses.length && Math.floor(synapses[end].source / CHUNK_SIZE) === chunk) end++
+
+    const polylines = synapses.slice(start, end).map((synapse, offset) => ({
+      points: synapse.points,
+      color,
+      id: start + offset
+    }))
+    const { geometry, segmentIds } = createPolylineSegments(polylines)
+    const lines = new THREE.LineSegments(geometry, material)
+    lines.name = `NeuronSynapses-${chunks.length}`
+    lines.renderOrder = 999
+    lines.userData = { type: 'synapses', segmentSynapses: segmentIds }
+    chunks.push(lines)
+
+    start = end
   }
-  
-  connection.userData.active = true
-  animate()
-  
-  return animationId
+
+  return chunks
 }
 
 /**
- * 随机触发神经元信号（模拟真实的神经活动 - 完整传导过程）
- * @param {Object3D} networkGroup - 神经元网络组
- * @param {number} interval - 触发间隔（毫秒）
+ * 创建信号光点缓冲区（固定容量，每帧写入当前所有光点的位置和颜色）
+ * @returns {Points}
  */
-export function startRandomNeuralSignals(networkGroup, interval = 1000) { // 默认频率提高一倍（2000ms -> 1000ms）
-  if (!networkGroup) return null
-  
-  // 收集所有神经元和它们的突触连接
-  const neurons = []
-  const neuronSynapseMap = new Map() // 神经元 -> 突触连接列表
-  
-  networkGroup.traverse((child) => {
-    if (child.userData && child.userData.type === 'neuron') {
-      neurons.push(child)
-      neuronSynapseMap.set(child, [])
-    }
-    if (child.userData && child.userData.type === 'synapse') {
-      // 找到这个突触连接的源神经元和目标神经元
-      const synapse = child
-      networkGroup.traverse((neuron) => {
-        if (neuron.userData && neuron.userData.type === 'neuron') {
-          if (neuron.userData.connections && neuron.userData.connections.includes(synapse)) {
-            neuronSynapseMap.get(neuron).push({
-              synapse: synapse,
-              sourceNeuron: neuron
-            })
-          }
-        }
-      })
-    }
+function createSignalPulses() {
+  const geometry = new THREE.BufferGeometry()
+  const position = new THREE.BufferAttribute(new Float32Array(MAX_SIGNAL_PULSES * 3), 3)
+  const color = new THREE.BufferAttribute(new Float32Array(MAX_SIGNAL_PULSES * 3), 3)
+  position.setUsage(THREE.DynamicDrawUsage)
+  color.setUsage(THREE.DynamicDrawUsage)
+  geometry.setAttribute('position', position)
+  geometry.setAttribute('color', color)
+  geometry.setDrawRange(0, 0)
+
+  const material = new THREE.PointsMaterial({
+    size: 6,
+    sizeAttenuation: false,
+    vertexColors: true,
+    transparent: true,
+    depthTest: false, // 禁用深度测试，确保始终可见
+    depthWrite: false
   })
-  
-  if (neurons.length === 0) {
-    console.warn('没有找到神经元，无法启动动画')
-    return null
-  }
-  
-  // 找到有突触连接的神经元对
-  const neuronPairs = []
-  networkGroup.traverse((child) => {
-    if (child.userData && child.userData.type === 'synapse') {
-      const synapse = child
-      // 查找源神经元和目标神经元
-      for (const sourceNeuron of neurons) {
-        if (sourceNeuron.userData.connections && sourceNeuron.userData.connections.includes(synapse)) {
-          // 查找目标神经元（通过突触的to位置）
-          for (const targetNeuron of neurons) {
-            if (targetNeuron !== sourceNeuron) {
-              const targetPos = targetNeuron.userData.position
-              const synapseTo = synapse.userData.to
-              if (synapseTo && targetPos.distanceTo(synapseTo) < 0.1) {
-                neuronPairs.push({
-                  source: sourceNeuron,
-                  target: targetNeuron,
-                  synapse: synapse
-                })
-                break
-              }
-            }
-          }
-          break
-        }
+
+  const points = new THREE.Points(geometry, material)
+  points.name = 'NeuronSignals'
+  points.frustumCulled = false
+  points.renderOrder = 1000
+  points.userData.overlay = true // 不参与拾取
+  return points
+}
+
+/**
+ * 移除并释放神经元网络
+ * @param {Object3D} network - createNeuronNetwork 的结果
+ */
+export function disposeNeuronNetwork(network) {
+  if (!network) return
+
+  if (network.parent) network.parent.remove(network)
+  const materials = new Set()
+  network.traverse((child) => {
+    if (child.geometry) child.geometry.dispose()
+    if (child.material) materials.add(child.material)
+    if (child.isInstancedMesh) child.dispose()
+  })
+  materials.forEach(material => material.dispose())
+}
+
+/**
+ * 在神经元细胞体上叠加一次闪烁（写入实例属性）
+ * @param {Object3D} network - 神经元网络
+ * @param {number} index - 神经元编号
+ * @param {number} color - 闪烁颜色（十六进制）
+ * @param {number} duration - 时长（毫秒）
+ * @param {number} intensity - 最大自发光强度
+ */
+export function flashNeuron(network, index, color, duration = 100, intensity = 0.5) {
+  network.userData.signals.flashes.set(index, {
+    color: new THREE.Color(color),
+    start: performance.now(),
+    duration,
+    intensity
+  })
+}
+
+/**
+ * 沿突触发出一个信号光点
+ * @param {Object3D} network - 神经元网络
+ * @param {number} synapseIndex - 突触编号
+ * @param {Object} options - 光点参数
+ * @param {number} options.delay - 延迟（毫秒）
+ * @param {number} options.duration - 传递时长（毫秒）
+ * @param {number} options.color - 光点颜色（十六进制）
+ * @param {Function} options.onArrive - 到达目标时的回调
+ */
+export function emitSynapsePulse(network, synapseIndex, options = {}) {
+  const { delay = 0, duration = 300, color = 0x00ff00, onArrive = null } = options
+  const synapse = network.userData.synapses[synapseIndex]
+  if (!synapse) return
+
+  network.userData.signals.pulses.push({
+    points: synapse.points,
+    start: performance.now() + delay,
+    duration,
+    color: new THREE.Color(color),
+    onArrive
+  })
+}
+
+/**
+ * 按进度在折线上取点
+ * @param {Vector3[]} points - 折线点
+ * @param {number} progress - 进度（0-1）
+ * @param {Vector3} target - 结果
+ * @returns {Vector3}
+ */
+function samplePolyline(points, progress, target) {
+  const position = progress * (points.length - 1)
+  const index = Math.min(Math.floor(position), points.length - 2)
+  return target.lerpVectors(points[index], points[index + 1], position - index)
+}
+
+/**
+ * 更新信号动画（每帧调用）：细胞体闪烁写入实例属性，信号光点写入点缓冲区
+ * @param {Object3D} network - 神经元网络
+ * @param {number} now - 当前时间（performance.now）
+ */
+export function updateNeuralSignals(network, now = performance.now()) {
+  const { somata, pulses, signals } = network.userData
+
+  // 1. 细胞体闪烁：强度按正弦先增后减，结束后清零
+  if (signals.flashes.size > 0) {
+    const activation = somata.geometry.getAttribute('activation')
+    signals.flashes.forEach((flash, index) => {
+      const progress = (now - flash.start) / flash.duration
+      const offset = index * 4
+      if (progress >= 1) {
+        activation.array.fill(0, offset, offset + 4)
+        signals.flashes.delete(index)
+      } else {
+        flash.color.toArray(activation.array, offset)
+        activation.array[offset + 3] = Math.sin(Math.max(progress, 0) * Math.PI) * flash.intensity
       }
+    })
+    activation.needsUpdate = true
+  }
+
+  // 2. 信号光点：沿突触移动，到达后触发回调
+  const positions = pulses.geometry.getAttribute('position')
+  const colors = pulses.geometry.getAttribute('color')
+  const point = new THREE.Vector3()
+  const arrived = []
+  let count = 0
+
+  signals.pulses = signals.pulses.filter((pulse) => {
+    const progress = (now - pulse.start) / pulse.duration
+    if (progress >= 1) {
+      arrived.push(pulse)
+      return false
     }
+    if (progress < 0 || count >= MAX_SIGNAL_PULSES) return true
+
+    samplePolyline(pulse.points, progress, point)
+    positions.setXYZ(count, point.x, point.y, point.z)
+    // 脉冲效果：亮度变化
+    const intensity = Math.sin(progress * Math.PI * 2) * 0.2 + 0.8
+    colors.setXYZ(count, pulse.color.r * intensity, pulse.color.g * intensity, pulse.color.b * intensity)
+    count++
+    return true
   })
-  
-  if (neuronPairs.length === 0) {
+
+  if (count > 0 || pulses.geometry.drawRange.count > 0) {
+    pulses.geometry.setDrawRange(0, count)
+    positions.needsUpdate = true
+    colors.needsUpdate = true
+  }
+
+  arrived.forEach(pulse => pulse.onArrive && pulse.onArrive())
+}
+
+/**
+ * 清除所有信号动画状态
+ * @param {Object3D} network - 神经元网络
+ */
+function resetNeuralSignals(network) {
+  const { somata, pulses, signals } = network.userData
+  const activation = somata.geometry.getAttribute('activation')
+
+  signals.flashes.clear()
+  signals.pulses = []
+  activation.array.fill(0)
+  activation.needsUpdate = true
+  pulses.geometry.setDrawRange(0, 0)
+}
+
+// 动画中每帧最多推进的真实时间（毫秒），页面切到后台再切回时不一次补算太多
+const MAX_FRAME_TIME = 100
+
+/**
+ * 启动神经信号动画：在网络连接上运行脉冲神经网络仿真，由仿真产生的脉冲驱动可视化
+ * （发放的神经元闪烁蓝色 -> 信号光点按突触延迟沿突触传递 -> 到达时目标神经元闪烁黄色）
+ * @param {Object3D} networkGroup - 神经元网络组
+ * @param {Object} params - 仿真参数（见 spikingNetwork 的 DEFAULT_SIMULATION_PARAMS）
+ * @param {Object} options - 仿真选项
+ * @param {number} options.lengthScale - 每世界单位对应的毫米数（用于由突触长度计算延迟）
+ * @returns {Object|null} 动画句柄（传给 stopNeuralSignals 停止）
+ */
+export function startNeuralSimulation(networkGroup, params = {}, options = {}) {
+  if (!networkGroup || !networkGroup.userData.synapses) return null
+
+  const { neurons, synapses, signals } = networkGroup.userData
+  if (synapses.length === 0) {
     console.warn('没有找到神经元连接对，无法启动动画')
     return null
   }
-  
-  // 获取场景引用
-  const scene = networkGroup.parent || window.scene
-  
-  // 立即触发一次动画
-  const triggerSignal = () => {
-    // 随机选择一个神经元对
-    const pair = neuronPairs[Math.floor(Math.random() * neuronPairs.length)]
-    if (pair && !pair.source.userData.animating) {
-      pair.source.userData.animating = true
-      animateNeuralSignalPropagation(pair.source, pair.target, pair.synapse, scene)
-      
-      // 0.5秒后允许再次动画（频率提高一倍，1000ms -> 500ms）
-      setTimeout(() => {
-        pair.source.userData.animating = false
-      }, 500)
-    }
+
+  // 仿真使用网络种子派生的独立随机数序列，相同种子下的神经活动同样可以复现
+  const simulation = createSpikingNetwork(neurons.length, synapses, params, {
+    ...options,
+    random: createRandom(networkGroup.userData.seed, RandomStream.SIMULATION)
+  })
+  // 仿真时间换算为真实时间（毫秒）
+  const toRealTime = simulationTime => simulationTime / simulation.params.speed * 1000
+
+  const handleSpike = (source) => {
+    flashNeuron(networkGroup, source, 0x0088ff, 75, 0.8)
+
+    // 光点数量有上限，超出时只闪烁细胞体
+    forEachOutgoingSynapse(simulation, source, (synapseIndex, delay) => {
+      if (signals.pulses.length >= MAX_SIGNAL_PULSES) return
+      const { target } = synapses[synapseIndex]
+      emitSynapsePulse(networkGroup, synapseIndex, {
+        duration: toRealTime(delay),
+        color: 0x00ff00,
+        // 目标神经元正在发放时保留发放的闪烁
+        onArrive: () => {
+          if (!signals.flashes.has(target)) flashNeuron(networkGroup, target, 0xffff00, 100, 0.5)
+        }
+      })
+    })
   }
-  
-  // 立即触发一次
-  triggerSignal()
-  
-  const signalInterval = setInterval(() => {
-    // 随机选择1-3个神经元对同时触发
-    const signalCount = Math.floor(Math.random() * 3) + 1
-    for (let i = 0; i < signalCount; i++) {
-      triggerSignal()
-    }
-  }, interval)
-  
-  return signalInterval
+
+  const handle = { network: networkGroup, simulation, frame: null }
+  let lastTime = performance.now()
+  const tick = () => {
+    const now = performance.now()
+    const elapsed = Math.min(now - lastTime, MAX_FRAME_TIME)
+    lastTime = now
+
+    advanceSpikingNetwork(simulation, elapsed * simulation.params.speed / 1000, handleSpike)
+    updateNeuralSignals(networkGroup, now)
+    handle.frame = requestAnimationFrame(tick)
+  }
+  tick()
+
+  return handle
 }
 
 /**
  * 停止神经信号动画
- * @param {number} intervalId - 定时器ID
+ * @param {Object} handle - startNeuralSimulation 返回的动画句柄
  */
-export function stopNeuralSignals(intervalId) {
-  if (intervalId) {
-    clearInterval(intervalId)
-  }
+export function stopNeuralSignals(handle) {
+  if (!handle) return
+
+  cancelAnimationFrame(handle.frame)
+  resetNeuralSignals(handle.network)
 }
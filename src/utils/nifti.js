@@ -0,0 +1,319 @@
+/**
+ * NIfTI 体数据解析工具函数
+ * 支持 NIfTI-1 / NIfTI-2 单文件格式（.nii / .nii.gz），包括字节序、数据类型、
+ * 缩放系数（scl_slope/scl_inter）和体素到物理空间的仿射变换（sform/qform）
+ */
+
+import { Matrix4 } from 'three'
+
+// 头部长度（sizeof_hdr）
+const NIFTI1_HEADER_SIZE = 348
+const NIFTI2_HEADER_SIZE = 540
+
+/**
+ * NIfTI 数据类型（datatype 代码 -> 类型信息）
+ */
+export const NiftiDataType = {
+  2: { name: 'uint8', bytes: 1, read: 'getUint8' },
+  4: { name: 'int16', bytes: 2, read: 'getInt16' },
+  8: { name: 'int32', bytes: 4, read: 'getInt32' },
+  16: { name: 'float32', bytes: 4, read: 'getFloat32' },
+  64: { name: 'float64', bytes: 8, read: 'getFloat64' },
+  256: { name: 'int8', bytes: 1, read: 'getInt8' },
+  512: { name: 'uint16', bytes: 2, read: 'getUint16' },
+  768: { name: 'uint32', bytes: 4, read: 'getUint32' }
+}
+
+// 空间单位（xyzt_units 低 3 位）换算为毫米
+const SPATIAL_UNIT_TO_MM = {
+  0: 1,     // 未知，按毫米处理
+  1: 1000,  // 米
+  2: 1,     // 毫米
+  3: 0.001  // 微米
+}
+
+/**
+ * 判断数据是否为 gzip 压缩
+ * @param {ArrayBuffer} buffer - 文件数据
+ * @returns {boolean}
+ */
+export function isGzip(buffer) {
+  const bytes = new Uint8Array(buffer, 0, Math.min(2, buffer.byteLength))
+  return bytes[0] === 0x1f && bytes[1] === 0x8b
+}
+
+/**
+ * 在浏览器中解压 gzip 数据（使用原生 DecompressionStream）
+ * @param {ArrayBuffer} buffer - gzip 数据
+ * @returns {Promise<ArrayBuffer>} 解压后的数据
+ */
+export async function gunzip(buffer) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('当前浏览器不支持 gzip 解压，请先解压为 .nii 文件')
+  }
+  const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'))
+  return new Response(stream).arrayBuffer()
+}
+
+/**
+ * 读取定长字符串（遇到 \0 截断）
+ * @param {DataView} view - 数据视图
+ * @param {number} offset - 起始位置
+ * @param {number} length - 长度
+ * @returns {string}
+ */
+function readString(view, offset, length) {
+  let result = ''
+  for (let i = 0; i < length; i++) {
+    const code = view.getUint8(offset + i)
+    if (code === 0) break
+    result += String.fromCharCode(code)
+  }
+  return result.trim()
+}
+
+/**
+ * 解析 NIfTI-1 头部
+ * @param {DataView} view - 数据视图
+ * @param {boolean} le - 是否小端字节序
+ * @returns {Object} 头部信息
+ */
+function parseNifti1Header(view, le) {
+  const readFloats = (offset, count) =>
+    Array.from({ length: count }, (_, i) => view.getFloat32(offset + i * 4, le))
+
+  return {
+    version: 1,
+    dim: Array.from({ length: 8 }, (_, i) => view.getInt16(40 + i * 2, le)),
+    datatype: view.getInt16(70, le),
+    bitpix: view.getInt16(72, le),
+    pixdim: readFloats(76, 8),
+    voxOffset: view.getFloat32(108, le),
+    sclSlope: view.getFloat32(112, le),
+    sclInter: view.getFloat32(116, le),
+    xyztUnits: view.getUint8(123),
+    calMax: view.getFloat32(124, le),
+    calMin: view.getFloat32(128, le),
+    descrip: readString(view, 148, 80),
+    qformCode: view.getInt16(252, le),
+    sformCode: view.getInt16(254, le),
+    quatern: readFloats(256, 3),
+    qoffset: readFloats(268, 3),
+    srowX: readFloats(280, 4),
+    srowY: readFloats(296, 4),
+    srowZ: readFloats(312, 4),
+    magic: readString(view, 344, 4)
+  }
+}
+
+/**
+ * 解析 NIfTI-2 头部（64 位维度和双精度字段）
+ * @param {DataView} view - 数据视图
+ * @param {boolean} le - 是否小端字节序
+ * @returns {Object} 头部信息
+ */
+function parseNifti2Header(view, le) {
+  const readDoubles = (offset, count) =>
+    Array.from({ length: count }, (_, i) => view.getFloat64(offset + i * 8, le))
+  const readInt64 = offset => Number(view.getBigInt64(offset, le))
+
+  return {
+    version: 2,
+    magic: readString(view, 4, 8),
+    datatype: view.getInt16(12, le),
+    bitpix: view.getInt16(14, le),
+    dim: Array.from({ length: 8 }, (_, i) => readInt64(16 + i * 8)),
+    pixdim: readDoubles(104, 8),
+    voxOffset: readInt64(168),
+    sclSlope: view.getFloat64(176, le),
+    sclInter: view.getFloat64(184, le),
+    calMax: view.getFloat64(192, le),
+    calMin: view.getFloat64(200, le),
+    descrip: readString(view, 240, 80),
+    qformCode: view.getInt32(344, le),
+    sformCode: view.getInt32(348, le),
+    quatern: readDoubles(352, 3),
+    qoffset: readDoubles(376, 3),
+    srowX: readDoubles(400, 4),
+    srowY: readDoubles(432, 4),
+    srowZ: readDoubles(464, 4),
+    xyztUnits: view.getInt32(500, le)
+  }
+}
+
+/**
+ * 解析 NIfTI 头部（自动识别版本和字节序）
+ * @param {ArrayBuffer} buffer - 未压缩的文件数据
+ * @returns {Object} { header, littleEndian }
+ */
+export function parseNiftiHeader(buffer) {
+  if (buffer.byteLength < NIFTI1_HEADER_SIZE) {
+    throw new Error('文件过小，不是有效的 NIfTI 文件')
+  }
+
+  const view = new DataView(buffer)
+  for (const le of [true, false]) {
+    const size = view.getInt32(0, le)
+    if (size === NIFTI1_HEADER_SIZE) {
+      return { header: parseNifti1Header(view, le), littleEndian: le }
+    }
+    if (size === NIFTI2_HEADER_SIZE && buffer.byteLength >= NIFTI2_HEADER_SIZE) {
+      return { header: parseNifti2Header(view, le), littleEndian: le }
+    }
+  }
+
+  throw new Error('无法识别的文件头，不是有效的 NIfTI 文件')
+}
+
+/**
+ * 计算体素坐标到物理坐标（毫米）的仿射矩阵
+ * 优先使用 sform，其次 qform，都没有时只按体素间距缩放
+ * @param {Object} header - 头部信息
+ * @returns {Matrix4} 仿射矩阵
+ */
+export function getNiftiAffine(header) {
+  const unitScale = SPATIAL_UNIT_TO_MM[header.xyztUnits & 0x07] ?? 1
+  const affine = new Matrix4()
+
+  if (header.sformCode > 0) {
+    const [x, y, z] = [header.srowX, header.srowY, header.srowZ]
+    affine.set(
+      x[0], x[1], x[2], x[3],
+      y[0], y[1], y[2], y[3],
+      z[0], z[1], z[2], z[3],
+      0, 0, 0, 1
+    )
+  } else if (header.qformCode > 0) {
+    // 由四元数 (a, b, c, d) 构造旋转矩阵，a 由单位长度推出
+    const [b, c, d] = header.quatern
+    const a = Math.sqrt(Math.max(0, 1 - (b * b + c * c + d * d)))
+    const [, dx, dy, dzRaw] = header.pixdim
+    const qfac = header.pixdim[0] < 0 ? -1 : 1
+    const dz = dzRaw * qfac
+    const [ox, oy, oz] = header.qoffset
+
+    affine.set(
+      (a * a + b * b - c * c - d * d) * dx, 2 * (b * c - a * d) * dy, 2 * (b * d + a * c) * dz, ox,
+      2 * (b * c + a * d) * dx, (a * a + c * c - b * b - d * d) * dy, 2 * (c * d - a * b) * dz, oy,
+      2 * (b * d - a * c) * dx, 2 * (c * d + a * b) * dy, (a * a + d * d - c * c - b * b) * dz, oz,
+      0, 0, 0, 1
+    )
+  } else {
+    const [, dx, dy, dz] = header.pixdim
+    affine.makeScale(dx || 1, dy || 1, dz || 1)
+  }
+
+  // 统一换算为毫米
+  if (unitScale !== 1) {
+    affine.premultiply(new Matrix4().makeScale(unitScale, unitScale, unitScale))
+  }
+
+  return affine
+}
+
+/**
+ * 读取体素数据并应用缩放系数
+ * 多时间点/多分量数据只读取第一个三维体
+ * @param {ArrayBuffer} buffer - 未压缩的文件数据
+ * @param {Object} header - 头部信息
+ * @param {boolean} le - 是否小端字节序
+ * @returns {Float32Array} 体素值
+ */
+function readVoxels(buffer, header, le) {
+  const type = NiftiDataType[header.datatype]
+  if (!type) {
+    throw new Error(`不支持的 NIfTI 数据类型: ${header.datatype}`)
+  }
+
+  const [, nx, ny, nz] = header.dim
+  const count = nx * Math.max(ny, 1) * Math.max(nz, 1)
+  const offset = Math.max(Math.round(header.voxOffset), header.version === 2 ? NIFTI2_HEADER_SIZE : NIFTI1_HEADER_SIZE)
+
+  if (offset + count * type.bytes > buffer.byteLength) {
+    throw new Error('体素数据不完整')
+  }
+
+  // 缩放系数为 0（或无效）表示不缩放
+  const hasScaling = Number.isFinite(header.sclSlope) && header.sclSlope !== 0
+  const slope = hasScaling ? header.sclSlope : 1
+  const inter = hasScaling && Number.isFinite(header.sclInter) ? header.sclInter : 0
+
+  const view = new DataView(buffer, offset, count * type.bytes)
+  const data = new Float32Array(count)
+  for (let i = 0; i < count; i++) {
+    data[i] = view[type.read](i * type.bytes, le) * slope + inter
+  }
+  return data
+}
+
+/**
+ * 解析 NIfTI 文件
+ * @param {ArrayBuffer} buffer - 文件数据（可为 gzip 压缩）
+ * @returns {Promise<Object>} 体数据
+ *   { header, dims: [nx, ny, nz], spacing: [dx, dy, dz], datatype, affine, data, min, max }
+ */
+export async function parseNifti(buffer) {
+  const raw = isGzip(buffer) ? await gunzip(buffer) : buffer
+  const { header, littleEndian } = parseNiftiHeader(raw)
+
+  if (header.dim[0] < 3) {
+    throw new Error('只支持三维（或更高维）体数据')
+  }
+
+  const data = readVoxels(raw, header, littleEndian)
+
+  let min = Infinity
+  let max = -Infinity
+  for (let i = 0; i < data.length; i++) {
+    const value = data[i]
+    if (!Number.isFinite(value)) continue
+    if (value < min) min = value
+    if (value > max) max = value
+  }
+
+  const unitScale = SPATIAL_UNIT_TO_MM[header.xyztUnits & 0x07] ?? 1
+
+  return {
+    header,
+    dims: [header.dim[1], header.dim[2], header.dim[3]],
+    spacing: [1, 2, 3].map(i => Math.abs(header.pixdim[i] || 1) * unitScale),
+    datatype: NiftiDataType[header.datatype].name,
+    affine: getNiftiAffine(header),
+    data,
+    min: Number.isFinite(min) ? min : 0,
+    max: Number.isFinite(max) ? max : 0
+  }
+}
+
+/**
+ * 计算体数据的百分位数值（用于默认窗宽窗位）
+ * @param {Object} volume - 体数据
+ * @param {number[]} percentiles - 百分位 (0-1)
+ * @returns {number[]} 对应的体素值
+ */
+export function getVolumePercentiles(volume, percentiles) {
+  const { data, min, max } = volume
+  const range = max - min
+  if (range <= 0) return percentiles.map(() => min)
+
+  // 直方图近似，避免对大体数据排序
+  const bins = 1024
+  const histogram = new Uint32Array(bins)
+  let total = 0
+  for (let i = 0; i < data.length; i++) {
+    const value = data[i]
+    if (!Number.isFinite(value)) continue
+    histogram[Math.min(bins - 1, Math.floor(((value - min) / range) * bins))]++
+    total++
+  }
+
+  return percentiles.map((p) => {
+    const target = p * total
+    let sum = 0
+    for (let bin = 0; bin < bins; bin++) {
+      sum += histogram[bin]
+      if (sum >= target) return min + ((bin + 1) / bins) * range
+    }
+    return max
+  })
+}
@@ -0,0 +1,336 @@
+/**
+ * 顺序无关透明（Weighted Blended OIT）渲染工具函数
+ * 不透明物体先渲染到带深度纹理的渲染目标；半透明网格按深度权重累加到两个渲染目标，
+ * 与绘制顺序无关，嵌套的半透明外壳（如皮层内的肿瘤）不再随相机旋转闪烁；最后合成到屏幕
+ */
+
+import {
+  AddEquation,
+  Color,
+  CustomBlending,
+  DepthStencilFormat,
+  DepthTexture,
+  HalfFloatType,
+  Mesh,
+  OneFactor,
+  OneMinusSrcAlphaFactor,
+  OrthographicCamera,
+  PlaneGeometry,
+  ShaderMaterial,
+  UnsignedInt248Type,
+  Vector2,
+  WebGLMultipleRenderTargets,
+  WebGLRenderTarget,
+  ZeroFactor
+} from 'three'
+
+// 所有 OIT 材质共享的 uniform，每帧只需设置一次
+const oitUniforms = {
+  uOitPass: { value: false },
+  uOitOpaqueDepth: { value: null },
+  uOitResolution: { value: new Vector2(1, 1) },
+  uOitCameraNear: { value: 0.1 },
+  uOitCameraFar: { value: 1000 }
+}
+
+// 片元着色器声明：第二个输出写入累加权重
+const OIT_FRAGMENT_DECLARATIONS = /* glsl */ `
+uniform bool uOitPass;
+uniform sampler2D uOitOpaqueDepth;
+uniform vec2 uOitResolution;
+uniform float uOitCameraNear;
+uniform float uOitCameraFar;
+layout(location = 1) out highp vec4 oitWeight;
+`
+
+// 片元着色器输出：OIT 通道中手动与不透明深度比较，并按 McGuire 深度权重输出
+const OIT_FRAGMENT_OUTPUT = /* glsl */ `
+#include <dithering_fragment>
+oitWeight = vec4(0.0);
+if (uOitPass) {
+  float opaqueDepth = texture2D(uOitOpaqueDepth, gl_FragCoord.xy / uOitResolution).r;
+  if (gl_FragCoord.z > opaqueDepth) discard;
+
+  float alpha = gl_FragColor.a;
+  float viewDepth = (uOitCameraNear * uOitCameraFar) /
+    (uOitCameraFar - gl_FragCoord.z * (uOitCameraFar - uOitCameraNear));
+  float weight = clamp(
+    10.0 / (1e-5 + pow(viewDepth / 5.0, 2.0) + pow(viewDepth / 200.0, 6.0)),
+    1e-2,
+    3e3
+  );
+
+  // 0 号输出：预乘颜色 × 权重（alpha 用于累乘透过率）；1 号输出：alpha × 权重
+  #ifdef PREMULTIPLIED_ALPHA
+    gl_FragColor = vec4(gl_FragColor.rgb * weight, alpha);
+  #else
+    gl_FragColor = vec4(gl_FragColor.rgb * alpha * weight, alpha);
+  #endif
+  oitWeight = vec4(alpha * weight, 0.0, 0.0, 0.0);
+}
+`
+
+// 合成着色器：不透明颜色 × 透过率 + 加权平均颜色 × (1 - 透过率)
+const compositeVertexShader = /* glsl */ `
+varying vec2 vUv;
+
+void main() {
+  vUv = uv;
+  gl_Position = vec4(position.xy, 0.0, 1.0);
+}
+`
+
+const compositeFragmentShader = /* glsl */ `
+uniform sampler2D tOpaque;
+uniform sampler2D tAccum;
+uniform sampler2D tWeight;
+varying vec2 vUv;
+
+void main() {
+  vec4 opaque = texture2D(tOpaque, vUv);
+  vec4 accum = texture2D(tAccum, vUv);
+  float weight = texture2D(tWeight, vUv).r;
+  float revealage = accum.a;
+
+  vec3 transparent = accum.rgb / max(weight, 1e-5);
+  gl_FragColor = vec4(opaque.rgb * revealage + transparent * (1.0 - revealage), opaque.a + (1.0 - revealage) * (1.0 - opaque.a));
+
+  #include <tonemapping_fragment>
+  #include <colorspace_fragment>
+}
+`
+
+/**
+ * 判断对象或其祖先是否标记了 userData.excludeFromOIT（辅助平面、拖拽控件、高亮等叠加层）
+ * @param {Object3D} object - 场景对象
+ * @returns {boolean}
+ */
+function isExcludedFromOIT(object) {
+  for (let current = object; current; current = current.parent) {
+    if (current.userData.excludeFromOIT) return true
+  }
+  return false
+}
+
+/**
+ * 判断网格是否走 OIT 通道（半透明的内置材质；ShaderMaterial 如体渲染保持原有混合方式）
+ * 关闭深度测试的材质（如拖拽控件）需要始终显示在最前，不参与 OIT 的深度剔除
+ * @param {Object3D} object - 场景对象
+ * @returns {boolean}
+ */
+export function isOITCandidate(object) {
+  if (!object.isMesh || isExcludedFromOIT(object)) return false
+
+  const materials = Array.isArray(object.material) ? object.material : [object.material]
+  return materials.length > 0 && materials.every(material =>
+    material && material.transparent && material.visible && !material.isShaderMaterial &&
+    material.colorWrite !== false && material.depthTest !== false
+  )
+}
+
+/**
+ * 为材质注入 OIT 着色器代码（同一材质只注入一次，普通渲染时不影响输出）
+ * @param {Material} material - 内置材质
+ */
+export function enableMaterialOIT(material) {
+  if (material.userData.oitEnabled) return
+  material.userData.oitEnabled = true
+
+  const previousOnBeforeCompile = material.onBeforeCompile
+  material.onBeforeCompile = (shader, renderer) => {
+    if (previousOnBeforeCompile) previousOnBeforeCompile.call(material, shader, renderer)
+
+    Object.assign(shader.uniforms, oitUniforms)
+    shader.fragmentShader = OIT_FRAGMENT_DECLARATIONS + shader.fragmentShader
+      .replace('#include <dithering_fragment>', OIT_FRAGMENT_OUTPUT)
+  }
+
+  const previousCacheKey = material.customProgramCacheKey
+  material.customProgramCacheKey = () => `${previousCacheKey.call(material)}|oit`
+  material.needsUpdate = true
+}
+
+/**
+ * 创建 OIT 渲染器
+ * @param {WebGLRenderer} renderer - 主渲染器
+ * @returns {Object} { render(scene, camera), dispose() }
+ */
+export function createOITRenderer(renderer) {
+  const size = new Vector2()
+  const clearColor = new Color()
+
+  // 不透明通道：颜色 + 深度/模板纹理（截面封口依赖模板缓冲）
+  const opaqueTarget = new WebGLRenderTarget(1, 1, {
+    type: HalfFloatType,
+    samples: 4,
+    stencilBuffer: true
+  })
+  opaqueTarget.depthTexture = new DepthTexture(1, 1)
+  opaqueTarget.depthTexture.format = DepthStencilFormat
+  opaqueTarget.depthTexture.type = UnsignedInt248Type
+
+  // 累加通道：0 号为加权颜色 + 透过率（alpha），1 号为权重和
+  const accumTarget = new WebGLMultipleRenderTargets(1, 1, 2, {
+    type: HalfFloatType,
+    depthBuffer: false
+  })
+
+  const compositeMaterial = new ShaderMaterial({
+    uniforms: {
+      tOpaque: { value: opaqueTarget.texture },
+      tAccum: { value: accumTarget.texture[0] },
+      tWeight: { value: accumTarget.texture[1] }
+    },
+    vertexShader: compositeVertexShader,
+    fragmentShader: compositeFragmentShader,
+    depthTest: false,
+    depthWrite: false
+  })
+  const compositeQuad = new Mesh(new PlaneGeometry(2, 2), compositeMaterial)
+  compositeQuad.frustumCulled = false
+  const compositeCamera = new OrthographicCamera(-1, 1, 1, -1, 0, 1)
+
+  // OIT 通道的混合方式：颜色相加，alpha 通道相乘得到透过率
+  const OIT_BLENDING = {
+    blending: CustomBlending,
+    blendEquation: AddEquation,
+    blendEquationAlpha: AddEquation,
+    blendSrc: OneFactor,
+    blendDst: OneFactor,
+    blendSrcAlpha: ZeroFactor,
+    blendDstAlpha: OneMinusSrcAlphaFactor,
+    depthTest: false,
+    depthWrite: false
+  }
+
+  /**
+   * 按渲染器画布尺寸调整渲染目标
+   */
+  function updateSize() {
+    renderer.getDrawingBufferSize(size)
+    if (opaqueTarget.width !== size.x || opaqueTarget.height !== size.y) {
+      opaqueTarget.setSize(size.x, size.y)
+      accumTarget.setSize(size.x, size.y)
+    }
+  }
+
+  /**
+   * 渲染场景（没有半透明网格时直接渲染）
+   * @param {Scene} scene - 场景
+   * @param {Camera} camera - 相机
+   */
+  function render(scene, camera) {
+    const transparentMeshes = []
+    const otherObjects = []
+    scene.traverseVisible((object) => {
+      if (isOITCandidate(object)) {
+        transparentMeshes.push(object)
+      } else if (object.isMesh || object.isLine || object.isPoints || object.isSprite) {
+        otherObjects.push(object)
+      }
+    })
+
+    if (transparentMeshes.length === 0) {
+      renderer.render(scene, camera)
+      return
+    }
+
+    updateSize()
+    const previousTarget = renderer.getRenderTarget()
+    const previousBackground = scene.background
+    const previousClearColor = renderer.getClearColor(clearColor)
+    const previousClearAlpha = renderer.getClearAlpha()
+
+    // 1. 不透明通道（其余半透明对象如体渲染、线条仍按原有方式排序混合）
+    transparentMeshes.forEach((mesh) => { mesh.visible = false })
+    renderer.setRenderTarget(opaqueTarget)
+    renderer.render(scene, camera)
+    transparentMeshes.forEach((mesh) => { mesh.visible = true })
+
+    // 2. 累加通道：只绘制 OIT 网格
+    otherObjects.forEach((object) => { object.visible = false })
+    scene.background = null
+
+    const savedMaterialStates = []
+    transparentMeshes.forEach((mesh) => {
+      const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material]
+      materials.forEach((material) => {
+        enableMaterialOIT(material)
+        const saved = {}
+        Object.keys(OIT_BLENDING).forEach((key) => { saved[key] = material[key] })
+        savedMaterialStates.push([material, saved])
+        Object.assign(material, OIT_BLENDING)
+      })
+    })
+
+    oitUniforms.uOitPass.value = true
+    oitUniforms.uOitOpaqueDepth.value = opaqueTarget.depthTexture
+    oitUniforms.uOitResolution.value.copy(size)
+    oitUniforms.uOitCameraNear.value = camera.near
+    oitUniforms.uOitCameraFar.value = camera.far
+
+    // 清屏为 (0, 0, 0, 1)：加权颜色和权重和从 0 开始累加，透过率从 1 开始累乘
+    renderer.setRenderTarget(accumTarget)
+    renderer.setClearColor(0x000000, 1)
+    renderer.render(scene, camera)
+
+    oitUniforms.uOitPass.value = false
+    savedMaterialStates.forEach(([material, saved]) => Object.assign(material, saved))
+    otherObjects.forEach((object) => { object.visible = true })
+    scene.background = previousBackground
+
+    // 3. 合成到屏幕
+    renderer.setRenderTarget(previousTarget)
+    renderer.setClearColor(previousClearColor, previousClearAlpha)
+    renderer.render(compositeQuad, compositeCamera)
+  }
+
+  /**
+   * 释放渲染目标和合成材质
+   */
+  function dispose() {
+    opaqueTarget.depthTexture.dispose()
+    opaqueTarget.dispose()
+    accumTarget.dispose()
+    compositeMaterial.dispose()
+    compositeQuad.geometry.dispose()
+  }
+
+  return { render, dispose }
+}
+
+// 渲染器 -> OIT 渲染器（按需创建，主视图渲染和截图导出共用）
+const oitRenderers = new WeakMap()
+
+/**
+ * 渲染场景，开启 OIT 时半透明网格使用顺序无关透明
+ * @param {WebGLRenderer} renderer - 渲染器
+ * @param {Scene} scene - 场景
+ * @param {Camera} camera - 相机
+ * @param {boolean} oit - 是否启用顺序无关透明
+ */
+export function renderScene(renderer, scene, camera, oit = true) {
+  if (!oit) {
+    renderer.render(scene, camera)
+    return
+  }
+
+  let oitRenderer = oitRenderers.get(renderer)
+  if (!oitRenderer) {
+    oitRenderer = createOITRenderer(renderer)
+    oitRenderers.set(renderer, oitRenderer)
+  }
+  oitRenderer.render(scene, camera)
+}
+
+/**
+ * 释放渲染器对应的 OIT 资源
+ * @param {WebGLRenderer} renderer - 渲染器
+ */
+export function disposeOITRenderer(renderer) {
+  const oitRenderer = oitRenderers.get(renderer)
+  if (oitRenderer) {
+    oitRenderer.dispose()
+    oitRenderers.delete(renderer)
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * 拾取工具函数
+ * 对模型图层、导入图层和神经元网络做射线检测，忽略被隐藏、被截面裁掉的部分和辅助叠加对象
+ */
+
+import { BackSide, Matrix4, Mesh, MeshBasicMaterial } from 'three'
+import { MaterialMode, getMaterialMode } from './materialState'
+import { NeuritePart } from './neuron'
+import { SWC_TYPE_NAMES } from './swc'
+
+/**
+ * 拾取结果类型
+ */
+export const PickKind = {
+  LAYER: 'layer', // 主模型图层
+  IMPORTED: 'imported', // 导入的模型或标签表面
+  NEURON: 'neuron', // 神经元（胞体、树突、轴突）
+  SYNAPSE: 'synapse' // 突触连接
+}
+
+/**
+ * 判断对象在场景中是否可见（自身及所有父节点都可见）
+ * @param {Object3D} object - 场景对象
+ * @returns {boolean}
+ */
+export function isObjectVisible(object) {
+  for (let current = object; current; current = current.parent) {
+    if (!current.visible) return false
+  }
+  return true
+}
+
+/**
+ * 判断点是否被截面裁掉（与材质裁剪规则一致：到平面有向距离为负的一侧被裁掉）
+ * @param {Vector3} point - 世界坐标
+ * @param {Object|null} clipping - 截面裁剪模式参数 { planes, clipIntersection }
+ * @returns {boolean}
+ */
+export function isPointClipped(point, clipping) {
+  if (!clipping || !clipping.planes || clipping.planes.length === 0) return false
+
+  const outside = plane => plane.distanceToPoint(point) < 0
+  return clipping.clipIntersection
+    ? clipping.planes.every(outside)
+    : clipping.planes.some(outside)
+}
+
+/**
+ * 对多个根节点做射线检测，返回最近的有效交点
+ * @param {Raycaster} raycaster - 已设置好射线的 Raycaster
+ * @param {Object3D[]} roots - 参与拾取的根节点（主模型、导入图层组、神经元网络）
+ * @returns {Object|null} { intersection, root }
+ */
+export function pickObject(raycaster, roots) {
+  let best = null
+
+  roots.forEach((root) => {
+    if (!root || !isObjectVisible(root)) return
+
+    const clipping = getMaterialMode(root, MaterialMode.CLIPPING)
+    const hit = raycaster.intersectObject(root, true).find(intersection => {
+      const { object } = intersection
+      return !object.userData.overlay &&
+        isObjectVisible(object) &&
+        !isPointClipped(intersection.point, clipping)
+    })
+
+    if (hit && (!best || hit.distance < best.intersection.distance)) {
+      best = { intersection: hit, root }
+    }
+  })
+
+  return best
+}
+
+/**
+ * 解析拾取到的对象属于哪个结构
+ * 神经元网络合并绘制：细胞体按实例编号、神经突起和突触按线段编号反查所属的神经元或突触
+ * @param {Object3D} object - 被拾取的网格或线
+ * @param {Object} intersection - 射线交点（包含 instanceId / index / faceIndex）
+ * @returns {Object|null} { kind, layerId?, neuronIndex?, part?, synapseIndex? }
+ */
+export function resolvePickedObject(object, intersection = null) {
+  const type = object.userData.type
+
+  if (type === 'somata' && intersection && intersection.instanceId !== undefined) {
+    return { kind: PickKind.NEURON, neuronIndex: intersection.instanceId, part: '胞体' }
+  }
+
+  // 线段的两个顶点连续存放，交点的 index 为线段起点的顶点编号
+  if (type === 'neurites' && intersection && intersection.index !== undefined) {
+    const segment = Math.floor(intersection.index / 2)
+    return {
+      kind: PickKind.NEURON,
+      neuronIndex: object.userData.segmentNeurons[segment],
+      part: object.userData.segmentParts[segment] === NeuritePart.AXON ? '轴突' : '树突'
+    }
+  }
+
+  // 导入的 SWC 神经元：每个神经元一个网格，按三角形记录所属的突起类型
+  if (type === 'swcNeurites' && intersection && intersection.faceIndex !== undefined) {
+    return {
+      kind: PickKind.NEURON,
+      neuronIndex: object.userData.neuronIndex,
+      part: SWC_TYPE_NAMES[object.userData.faceTypes[intersection.faceIndex]] || '神经突起'
+    }
+  }
+
+  if (type === 'synapses' && intersection && intersection.index !== undefined) {
+    const segment = Math.floor(intersection.index / 2)
+    return { kind: PickKind.SYNAPSE, synapseIndex: object.userData.segmentSynapses[segment] }
+  }
+
+  const layerId = object.userData.layer
+  if (layerId === undefined) return null
+
+  return {
+    kind: String(layerId).startsWith('imported-') ? PickKind.IMPORTED : PickKind.LAYER,
+    layerId
+  }
+}
+
+/**
+ * 为神经元胞体创建高亮光晕（背面渲染的放大副本，不修改胞体材质，信号动画不受影响）
+ * @param {InstancedMesh} somata - 细胞体实例网格
+ * @param {number} instanceId - 神经元编号
+ * @param {number|string} color - 光晕颜色
+ * @returns {Mesh}
+ */
+export function createHighlightHalo(somata, instanceId, color = 0xffaa00) {
+  const halo = new Mesh(somata.geometry, new MeshBasicMaterial({
+    color,
+    side: BackSide,
+    transparent: true,
+    opacity: 0.6,
+    depthWrite: false
+  }))
+  const matrix = new Matrix4()
+  somata.getMatrixAt(instanceId, matrix)
+  matrix.decompose(halo.position, halo.quaternion, halo.scale)
+  halo.scale.multiplyScalar(1.6)
+  halo.renderOrder = somata.renderOrder
+  halo.userData.overlay = true
+  halo.userData.excludeFromOIT = true
+  somata.add(halo)
+  return halo
+}
+
+/**
+ * 移除高亮光晕（几何体与胞体共享，只释放材质）
+ * @param {Mesh} halo - createHighlightHalo 的结果
+ */
+export function removeHighlightHalo(halo) {
+  if (!halo) return
+  if (halo.parent) halo.parent.remove(halo)
+  halo.material.dispose()
+}
@@ -0,0 +1,83 @@
+/**
+ * 可设定种子的伪随机数生成器
+ * 神经元网络的生成和信号仿真使用由同一种子派生的随机数序列，
+ * 相同的种子和参数在任何会话中都得到相同的网络
+ */
+
+// 种子范围（32 位无符号整数）
+export const MAX_SEED = 0xffffffff
+
+/**
+ * 随机数子序列（同一种子下不同用途使用不同的子序列，互不影响）
+ */
+export const RandomStream = {
+  NETWORK: 0, // 神经元位置、形态和连接
+  SIMULATION: 1, // 脉冲神经网络仿真（神经元类型、突触权重、背景输入）
+  SWC_PLACEMENT: 2 // 导入的 SWC 神经元在模型内的放置位置
+}
+
+/**
+ * 将种子和子序列编号混合为初始状态
+ * @param {number} seed - 种子
+ * @param {number} stream - 子序列编号
+ * @returns {number} 32 位无符号整数
+ */
+function hashSeed(seed, stream) {
+  let hash = (seed >>> 0) ^ Math.imul(stream + 1, 0x9e3779b1)
+  hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b)
+  hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35)
+  return (hash ^ (hash >>> 16)) >>> 0
+}
+
+/**
+ * 创建伪随机数生成器（mulberry32）
+ * @param {number} seed - 种子
+ * @param {number} stream - 子序列编号（RandomStream）
+ * @returns {Function} 返回 [0, 1) 均匀分布随机数的函数，可替代 Math.random
+ */
+export function createRandom(seed, stream = RandomStream.NETWORK) {
+  let state = hashSeed(seed, stream)
+
+  return function random() {
+    state = (state + 0x6d2b79f5) | 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * 校验随机数生成器参数
+ * 生成和仿真代码不提供 Math.random 缺省值，漏传时直接报错，避免结果悄悄失去可复现性
+ * @param {Function} random - 随机数生成器（createRandom 的结果）
+ * @param {string} caller - 调用方名称（用于错误信息）
+ * @returns {Function} random
+ */
+export function requireRandom(random, caller) {
+  if (typeof random !== 'function') {
+    throw new Error(`${caller} 缺少随机数生成器，请传入 createRandom 创建的生成器`)
+  }
+  return random
+}
+
+/**
+ * 计算字符串的 32 位哈希（FNV-1a），用于由文件内容等稳定信息派生种子
+ * @param {string} text - 字符串
+ * @returns {number} 32 位无符号整数
+ */
+export function hashString(text) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193)
+  }
+  return hash >>> 0
+}
+
+/**
+ * 生成新的随机种子
+ * @returns {number}
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * MAX_SEED)
+}
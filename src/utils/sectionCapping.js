@@ -0,0 +1,251 @@
+/**
+ * 截面封口工具函数
+ * 使用模板缓冲（stencil buffer）填充裁剪后的截面，使切口呈现实心切片效果
+ *
+ * 原理：
+ * - 对每个网格、每个裁剪平面，先以不写颜色的方式渲染背面（模板 +1）和正面（模板 -1）
+ * - 被切开的网格内部区域模板值不为 0，在该区域绘制与裁剪平面重合的封口平面
+ * - 封口绘制完成后清空模板缓冲，供下一个网格/平面使用，因此每个网格可有独立颜色
+ * - 交集模式下，封口只出现在其余平面同时切除的区域，因此用其余平面的反向平面裁剪封口
+ */
+
+import {
+  Group,
+  Mesh,
+  Box3,
+  Sphere,
+  Color,
+  PlaneGeometry,
+  MeshBasicMaterial,
+  MeshStandardMaterial,
+  AlwaysStencilFunc,
+  NotEqualStencilFunc,
+  IncrementWrapStencilOp,
+  DecrementWrapStencilOp,
+  ReplaceStencilOp,
+  BackSide,
+  FrontSide,
+  DoubleSide
+} from 'three'
+import { alignObjectToPlane } from './crossSection'
+
+/**
+ * 封口颜色模式枚举
+ */
+export const CapColorMode = {
+  SINGLE: 'single',     // 统一颜色
+  MESH: 'mesh',         // 按网格分配颜色（适合多网格分割模型）
+  MATERIAL: 'material'  // 使用网格原始材质颜色
+}
+
+// 按网格分配颜色时使用的调色板
+const CAP_PALETTE = [0xe8a0a0, 0xf5c26b, 0x7ec8e3, 0x9be3a5, 0xc9a0e8, 0xf28b82]
+
+// 封口渲染顺序起点（在模型不透明网格之后、神经元之前）
+const CAP_RENDER_ORDER_START = 1
+
+/**
+ * 获取网格的封口颜色
+ * @param {Mesh} mesh - 源网格
+ * @param {number} index - 网格序号
+ * @param {Object} options - 封口参数
+ * @returns {Color} 封口颜色
+ */
+function getCapColor(mesh, index, options) {
+  const { colorMode = CapColorMode.MESH, color = 0xe8a0a0, colorMap = {} } = options
+
+  // 显式指定的网格/材质颜色优先
+  const material = Array.isArray(mesh.material) ? mesh.material[0] : mesh.material
+  const mapped = colorMap[mesh.name] ?? (material ? colorMap[material.name] : undefined)
+  if (mapped !== undefined) {
+    return new Color(mapped)
+  }
+
+  switch (colorMode) {
+    case CapColorMode.SINGLE:
+      return new Color(color)
+    case CapColorMode.MATERIAL:
+      // 原始材质颜色略微加深，与表面区分
+      return material && material.color
+        ? material.color.clone().multiplyScalar(0.85)
+        : new Color(color)
+    default:
+      return new Color(CAP_PALETTE[index % CAP_PALETTE.length])
+  }
+}
+
+/**
+ * 创建写入模板缓冲的网格（与源网格共享几何体，不写颜色和深度）
+ * @param {Mesh} mesh - 源网格
+ * @param {Plane} plane - 裁剪平面
+ * @param {number} side - 渲染面（BackSide/FrontSide）
+ * @param {number} stencilOp - 模板操作
+ * @param {number} renderOrder - 渲染顺序
+ * @returns {Mesh} 模板网格
+ */
+function createStencilMesh(mesh, plane, side, stencilOp, renderOrder) {
+  const material = new MeshBasicMaterial({
+    side,
+    depthWrite: false,
+    depthTest: false,
+    colorWrite: false,
+    stencilWrite: true,
+    stencilFunc: AlwaysStencilFunc,
+    stencilFail: stencilOp,
+    stencilZFail: stencilOp,
+    stencilZPass: stencilOp,
+    clippingPlanes: [plane]
+  })
+
+  const stencilMesh = new Mesh(mesh.geometry, material)
+  stencilMesh.renderOrder = renderOrder
+  // 世界矩阵直接取自源网格，封口组可以放在场景任意位置
+  stencilMesh.matrixAutoUpdate = false
+  stencilMesh.matrixWorldAutoUpdate = false
+  stencilMesh.matrixWorld.copy(mesh.matrixWorld)
+  stencilMesh.onBeforeRender = () => {
+    stencilMesh.matrixWorld.copy(mesh.matrixWorld)
+  }
+  stencilMesh.userData.sharedGeometry = true
+  return stencilMesh
+}
+
+/**
+ * 创建截面封口
+ * @param {Object3D} model - Three.js 模型对象
+ * @param {Plane[]} planes - 裁剪平面列表（与 applySectionToModel 使用的平面一致）
+ * @param {Object} options - 封口参数
+ * @param {string} options.colorMode - 颜色模式 (single/mesh/material)
+ * @param {number|string} options.color - 统一颜色（single 模式或后备颜色）
+ * @param {Object} options.colorMap - 网格名或材质名到颜色的映射（优先级最高）
+ * @param {boolean} options.clipIntersection - 裁剪平面是否按交集组合（与模型材质一致）
+ * @returns {Group} 封口对象组
+ */
+export function createSectionCaps(model, planes, options = {}) {
+  const capsGroup = new Group()
+  capsGroup.name = 'SectionCaps'
+
+  if (!model || !planes || planes.length === 0) return capsGroup
+
+  model.updateMatrixWorld(true)
+
+  // 封口平面需覆盖整个模型
+  const sphere = new Box3().setFromObject(model).getBoundingSphere(new Sphere())
+  const capSize = Math.max(sphere.radius, 0.01) * 4
+
+  // 封口组持有独立的平面副本，更新时原地修改，避免重建材质
+  const capPlanes = planes.map(plane => plane.clone())
+  // 封口自身使用的裁剪平面：并集模式为平面本身，交集模式为反向平面
+  const capClipPlanes = options.clipIntersection
+    ? capPlanes.map(plane => plane.clone().negate())
+    : capPlanes
+  const capMeshes = []
+
+  const meshes = []
+  model.traverse((child) => {
+    if (child.isMesh && child.visible && !child.userData.overlay) {
+      meshes.push(child)
+    }
+  })
+
+  let renderOrder = CAP_RENDER_ORDER_START
+
+  meshes.forEach((mesh, meshIndex) => {
+    const capColor = getCapColor(mesh, meshIndex, options)
+
+    capPlanes.forEach((plane, planeIndex) => {
+      capsGroup.add(createStencilMesh(mesh, plane, BackSide, IncrementWrapStencilOp, renderOrder))
+      capsGroup.add(createStencilMesh(mesh, plane, FrontSide, DecrementWrapStencilOp, renderOrder))
+
+      // 封口平面只在模板值非 0 处绘制，并被其余平面裁剪（薄层模式下两侧互相约束）
+      // 交集模式下，封口只保留在其余平面切除区域内，因此裁剪平面取反
+      const capMaterial = new MeshStandardMaterial({
+        color: capColor,
+        metalness: 0.1,
+        roughness: 0.75,
+        side: DoubleSide,
+        clippingPlanes: capClipPlanes.filter((_, i) => i !== planeIndex),
+        stencilWrite: true,
+        stencilRef: 0,
+        stencilFunc: NotEqualStencilFunc,
+        stencilFail: ReplaceStencilOp,
+        stencilZFail: ReplaceStencilOp,
+        stencilZPass: ReplaceStencilOp
+      })
+
+      const cap = new Mesh(new PlaneGeometry(capSize, capSize), capMaterial)
+      cap.name = `SectionCap_${mesh.name || meshIndex}_${planeIndex}`
+      cap.renderOrder = renderOrder + 0.1
+      // 绘制完成后清空模板缓冲，下一个网格重新计数
+      cap.onAfterRender = (renderer) => {
+        renderer.clearStencil()
+      }
+      cap.userData.planeIndex = planeIndex
+      cap.userData.sourceMesh = mesh
+      alignObjectToPlane(cap, plane)
+      capsGroup.add(cap)
+      capMeshes.push(cap)
+
+      renderOrder++
+    })
+  })
+
+  capsGroup.userData = {
+    type: 'sectionCaps',
+    mainViewOnly: true, // 三视图使用渲染器级裁剪，不使用封口
+    planes: capPlanes,
+    clipPlanes: capClipPlanes,
+    caps: capMeshes
+  }
+
+  return capsGroup
+}
+
+/**
+ * 更新封口平面位置（平面数量不变时使用）
+ * @param {Group} capsGroup - 封口对象组
+ * @param {Plane[]} planes - 新的裁剪平面列表
+ * @returns {boolean} 是否更新成功（平面数量不一致时返回 false，需要重建）
+ */
+export function updateSectionCaps(capsGroup, planes) {
+  if (!capsGroup || !capsGroup.userData.planes) return false
+
+  const capPlanes = capsGroup.userData.planes
+  if (!planes || capPlanes.length !== planes.length) return false
+
+  const { clipPlanes } = capsGroup.userData
+  planes.forEach((plane, i) => {
+    capPlanes[i].copy(plane)
+    if (clipPlanes !== capPlanes) {
+      clipPlanes[i].copy(plane).negate()
+    }
+  })
+  capsGroup.userData.caps.forEach((cap) => {
+    alignObjectToPlane(cap, capPlanes[cap.userData.planeIndex])
+  })
+
+  return true
+}
+
+/**
+ * 释放封口资源
+ * @param {Group} capsGroup - 封口对象组
+ */
+export function disposeSectionCaps(capsGroup) {
+  if (!capsGroup) return
+
+  if (capsGroup.parent) {
+    capsGroup.parent.remove(capsGroup)
+  }
+
+  capsGroup.traverse((child) => {
+    if (!child.isMesh) return
+    // 模板网格与源网格共享几何体，不能释放
+    if (!child.userData.sharedGeometry && child.geometry) {
+      child.geometry.dispose()
+    }
+    if (child.material) {
+      child.material.dispose()
+    }
+  })
+}
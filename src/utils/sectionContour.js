@@ -0,0 +1,415 @@
+/**
+ * 截面轮廓工具函数
+ * 计算网格与截面平面的交线，生成每个网格的闭合轮廓线，并支持导出为 SVG/JSON
+ */
+
+import { Vector3, Matrix4, Color } from 'three'
+import { getPristineState } from './materialState'
+
+// 顶点坐标量化精度（用于识别共享边）
+const KEY_PRECISION = 1e5
+
+// 判定顶点落在平面上的距离阈值
+const PLANE_EPSILON = 1e-9
+
+/**
+ * 生成顶点的量化键
+ * @param {Vector3} v - 顶点
+ * @returns {string} 键
+ */
+function vertexKey(v) {
+  return `${Math.round(v.x * KEY_PRECISION)},${Math.round(v.y * KEY_PRECISION)},${Math.round(v.z * KEY_PRECISION)}`
+}
+
+/**
+ * 计算一条边与平面的交点
+ * 按端点键排序后插值，保证相邻三角形共享边得到完全相同的交点
+ * @returns {Object} { key, point }
+ */
+function intersectEdge(a, b, da, db, keyA, keyB) {
+  if (keyA > keyB) {
+    return intersectEdge(b, a, db, da, keyB, keyA)
+  }
+  const t = da / (da - db)
+  return {
+    key: `${keyA}|${keyB}`,
+    point: new Vector3().lerpVectors(a, b, t)
+  }
+}
+
+/**
+ * 计算单个网格与平面的交线段
+ * @param {Mesh} mesh - 网格
+ * @param {Plane} plane - 平面（世界坐标）
+ * @returns {Object[]} 线段列表 [{ a: { key, point }, b: { key, point } }]
+ */
+function intersectMeshWithPlane(mesh, plane) {
+  const geometry = mesh.geometry
+  const position = geometry && geometry.attributes.position
+  if (!position) return []
+
+  const index = geometry.index
+  const triangleCount = index ? index.count / 3 : position.count / 3
+  const vertices = [new Vector3(), new Vector3(), new Vector3()]
+  const keys = ['', '', '']
+  const distances = [0, 0, 0]
+  const segments = []
+
+  for (let t = 0; t < triangleCount; t++) {
+    let positive = false
+    let negative = false
+
+    for (let i = 0; i < 3; i++) {
+      const vertexIndex = index ? index.getX(t * 3 + i) : t * 3 + i
+      vertices[i].fromBufferAttribute(position, vertexIndex).applyMatrix4(mesh.matrixWorld)
+      let distance = plane.distanceToPoint(vertices[i])
+      // 顶点恰好在平面上时视为正侧，避免产生退化线段
+      if (Math.abs(distance) < PLANE_EPSILON) distance = PLANE_EPSILON
+      distances[i] = distance
+      if (distance > 0) positive = true
+      else negative = true
+    }
+
+    // 三角形完全位于平面一侧
+    if (!positive || !negative) continue
+
+    for (let i = 0; i < 3; i++) {
+      keys[i] = vertexKey(vertices[i])
+    }
+
+    const crossings = []
+    for (let i = 0; i < 3; i++) {
+      const j = (i + 1) % 3
+      if ((distances[i] > 0) !== (distances[j] > 0)) {
+        crossings.push(intersectEdge(
+          vertices[i], vertices[j], distances[i], distances[j], keys[i], keys[j]
+        ))
+      }
+    }
+
+    if (crossings.length === 2) {
+      segments.push({ a: crossings[0], b: crossings[1] })
+    }
+  }
+
+  return segments
+}
+
+/**
+ * 将无序线段连接成折线
+ * @param {Object[]} segments - 线段列表
+ * @returns {Object[]} 折线列表 [{ points: Vector3[], closed }]
+ */
+function chainSegments(segments) {
+  // 交点键 -> 经过该交点的线段序号
+  const adjacency = new Map()
+  segments.forEach((segment, i) => {
+    for (const end of [segment.a, segment.b]) {
+      if (!adjacency.has(end.key)) adjacency.set(end.key, [])
+      adjacency.get(end.key).push(i)
+    }
+  })
+
+  const used = new Array(segments.length).fill(false)
+  const polylines = []
+
+  // 从 end 出发沿未使用的线段前进，返回经过的交点
+  function walk(startKey) {
+    const chain = []
+    let currentKey = startKey
+    for (;;) {
+      const next = (adjacency.get(currentKey) || []).find(i => !used[i])
+      if (next === undefined) break
+      used[next] = true
+      const segment = segments[next]
+      const other = segment.a.key === currentKey ? segment.b : segment.a
+      chain.push(other)
+      currentKey = other.key
+    }
+    return chain
+  }
+
+  segments.forEach((segment, i) => {
+    if (used[i]) return
+    used[i] = true
+
+    const forward = walk(segment.b.key)
+    const closed = forward.length > 0 && forward[forward.length - 1].key === segment.a.key
+    let chain = [segment.a, segment.b, ...forward]
+
+    if (closed) {
+      // 闭合时首尾点重复，去掉末尾的重复点
+      chain.pop()
+    } else {
+      // 未闭合时再向另一端延伸
+      const backward = walk(segment.a.key)
+      chain = [...backward.reverse(), ...chain]
+    }
+
+    if (chain.length >= 2) {
+      polylines.push({
+        points: chain.map(end => end.point),
+        closed
+      })
+    }
+  })
+
+  return polylines
+}
+
+/**
+ * 提取模型在截面平面上的轮廓线
+ * @param {Object3D} model - Three.js 模型对象
+ * @param {Plane} plane - 截面平面（世界坐标）
+ * @returns {Object[]} 每个网格的轮廓 [{ name, color, polylines: [{ points: Vector3[], closed }] }]
+ */
+export function extractSectionContours(model, plane) {
+  if (!model || !plane) return []
+
+  const contours = []
+  model.updateMatrixWorld(true)
+
+  model.traverse((child) => {
+    if (!child.isMesh || !child.visible || child.userData.overlay) return
+
+    const polylines = chainSegments(intersectMeshWithPlane(child, plane))
+    if (polylines.length === 0) return
+
+    // 颜色取材质的原始状态，不受线框、高亮等显示模式的影响
+    const material = Array.isArray(child.material) ? child.material[0] : child.material
+    const color = material && getPristineState(material).color
+    contours.push({
+      name: child.name || `mesh_${contours.length}`,
+      color: color ? `#${color.getHexString()}` : '#ffffff',
+      polylines
+    })
+  })
+
+  return contours
+}
+
+/**
+ * 计算平面内的二维坐标基（u 向右，v 向上，从法向量一侧观察）
+ * @param {Vector3} normal - 平面法向量（已归一化）
+ * @returns {Object} { u: Vector3, v: Vector3 }
+ */
+export function getPlaneBasis(normal) {
+  const up = Math.abs(normal.y) > 0.99 ? new Vector3(0, 0, -1) : new Vector3(0, 1, 0)
+  const u = new Vector3().crossVectors(up, normal).normalize()
+  const v = new Vector3().crossVectors(normal, u).normalize()
+  return { u, v }
+}
+
+/**
+ * 将轮廓转换到模型自身坐标系（不含场景中的缩放/居中），并按毫米换算为真实尺寸
+ * @param {Object[]} contours - extractSectionContours 的结果
+ * @param {Plane} plane - 截面平面（世界坐标）
+ * @param {Object3D} model - Three.js 模型对象
+ * @param {number} mmPerWorldUnit - 每世界单位对应的毫米数（sectionBounds.mmPerWorldUnit）
+ * @returns {Object} { plane, basis, origin, contours: [{ name, color, polygons: [{ closed, points, points2D }] }] }（单位 mm）
+ */
+function toModelSpace(contours, plane, model, mmPerWorldUnit) {
+  const inverse = new Matrix4()
+  let worldScale = 1
+  if (model) {
+    model.updateMatrixWorld(true)
+    inverse.copy(model.matrixWorld).invert()
+    worldScale = model.getWorldScale(new Vector3()).x || 1
+  }
+  // 模型自身单位对应的毫米数
+  const mmPerModelUnit = mmPerWorldUnit * worldScale
+
+  const localPlane = plane.clone().applyMatrix4(inverse)
+  localPlane.normalize()
+  localPlane.constant *= mmPerModelUnit
+  const basis = getPlaneBasis(localPlane.normal)
+  const origin = localPlane.coplanarPoint(new Vector3())
+  const offset = new Vector3()
+
+  return {
+    plane: localPlane,
+    basis,
+    origin,
+    contours: contours.map(contour => ({
+      name: contour.name,
+      color: contour.color,
+      polygons: contour.polylines.map((polyline) => {
+        const points = polyline.points.map(p => p.clone().applyMatrix4(inverse).multiplyScalar(mmPerModelUnit))
+        return {
+          closed: polyline.closed,
+          points,
+          points2D: points.map((p) => {
+            offset.subVectors(p, origin)
+            return [offset.dot(basis.u), offset.dot(basis.v)]
+          })
+        }
+      })
+    }))
+  }
+}
+
+/**
+ * 四舍五入到指定小数位
+ */
+function round(value, digits = 4) {
+  const factor = Math.pow(10, digits)
+  return Math.round(value * factor) / factor
+}
+
+/**
+ * 将轮廓导出为 JSON 对象（模型自身坐标系，单位 mm）
+ * @param {Object[]} contours - extractSectionContours 的结果
+ * @param {Plane} plane - 截面平面（世界坐标）
+ * @param {Object3D} model - Three.js 模型对象
+ * @param {number} mmPerWorldUnit - 每世界单位对应的毫米数
+ * @param {Object} meta - 附加信息（如截面类型、位置）
+ * @returns {Object} 可序列化的多边形列表
+ */
+export function contoursToJSON(contours, plane, model, mmPerWorldUnit, meta = {}) {
+  const local = toModelSpace(contours, plane, model, mmPerWorldUnit)
+
+  return {
+    ...meta,
+    units: 'mm',
+    plane: {
+      normal: local.plane.normal.toArray().map(v => round(v, 6)),
+      constant: round(local.plane.constant, 6)
+    },
+    basis: {
+      origin: local.origin.toArray().map(v => round(v)),
+      u: local.basis.u.toArray().map(v => round(v, 6)),
+      v: local.basis.v.toArray().map(v => round(v, 6))
+    },
+    meshes: local.contours.map(contour => ({
+      name: contour.name,
+      color: contour.color,
+      polygons: contour.polygons.map(polygon => ({
+        closed: polygon.closed,
+        points: polygon.points.map(p => p.toArray().map(v => round(v))),
+        points2D: polygon.points2D.map(p => p.map(v => round(v)))
+      }))
+    }))
+  }
+}
+
+/**
+ * 将轮廓导出为 SVG 字符串（平面内二维坐标，单位 mm）
+ * @param {Object[]} contours - extractSectionContours 的结果
+ * @param {Plane} plane - 截面平面（世界坐标）
+ * @param {Object3D} model - Three.js 模型对象
+ * @param {number} mmPerWorldUnit - 每世界单位对应的毫米数
+ * @param {Object} options - { strokeWidth, fillOpacity, background, scaleEstimated }
+ * @returns {string} SVG 文本
+ */
+export function contoursToSVG(contours, plane, model, mmPerWorldUnit, options = {}) {
+  const { fillOpacity = 0.15, background = null, scaleEstimated = false } = options
+  const local = toModelSpace(contours, plane, model, mmPerWorldUnit)
+
+  // 计算二维包围盒
+  let minX = Infinity
+  let minY = Infinity
+  let maxX = -Infinity
+  let maxY = -Infinity
+  local.contours.forEach(contour => contour.polygons.forEach(polygon => polygon.points2D.forEach(([x, y]) => {
+    minX = Math.min(minX, x)
+    maxX = Math.max(maxX, x)
+    minY = Math.min(minY, y)
+    maxY = Math.max(maxY, y)
+  })))
+
+  if (!isFinite(minX)) {
+    minX = minY = 0
+    maxX = maxY = 1
+  }
+
+  const width = Math.max(maxX - minX, 1e-6)
+  const height = Math.max(maxY - minY, 1e-6)
+  const padding = Math.max(width, height) * 0.05
+  const strokeWidth = options.strokeWidth ?? Math.max(width, height) / 400
+
+  // SVG 的 y 轴向下，需要翻转 v 坐标
+  const paths = local.contours.map((contour) => {
+    const d = contour.polygons.map((polygon) => {
+      const commands = polygon.points2D.map(([x, y], i) => {
+        return `${i === 0 ? 'M' : 'L'}${round(x)} ${round(-y)}`
+      })
+      return commands.join(' ') + (polygon.closed ? ' Z' : '')
+    }).join(' ')
+
+    const fill = new Color(contour.color).getHexString()
+    return `  <path data-name="${escapeXml(contour.name)}" d="${d}" fill="#${fill}" fill-opacity="${fillOpacity}" fill-rule="evenodd" stroke="${contour.color}" stroke-width="${round(strokeWidth, 6)}" stroke-linejoin="round" />`
+  })
+
+  const viewBox = [
+    round(minX - padding),
+    round(-maxY - padding),
+    round(width + padding * 2),
+    round(height + padding * 2)
+  ].join(' ')
+  // 画布尺寸以毫米标注，打印或导入矢量软件时保持真实比例
+  const size = `width="${round(width + padding * 2)}mm" height="${round(height + padding * 2)}mm"`
+
+  // 毫米比例为估算值时在文件中注明
+  const description = scaleEstimated ? '  <desc>毫米比例为估算值（原模型未标注真实尺寸），尺寸仅供参考</desc>\n' : ''
+
+  const backgroundRect = background
+    ? `  <rect x="${round(minX - padding)}" y="${round(-maxY - padding)}" width="${round(width + padding * 2)}" height="${round(height + padding * 2)}" fill="${background}" />\n`
+    : ''
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" ${size} viewBox="${viewBox}">
+${description}${backgroundRect}${paths.join('\n')}
+</svg>
+`
+}
+
+/**
+ * 转义 XML 特殊字符
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * 在二维画布上绘制轮廓（按相机投影，与三维视图对齐）
+ * @param {CanvasRenderingContext2D} ctx - 画布上下文
+ * @param {Object[]} contours - extractSectionContours 的结果
+ * @param {Camera} camera - 用于投影的相机
+ * @param {Object} options - { lineWidth, fillOpacity }
+ */
+export function drawContoursToCanvas(ctx, contours, camera, options = {}) {
+  const { lineWidth = 1.5, fillOpacity = 0.15 } = options
+  const { width, height } = ctx.canvas
+  const projected = new Vector3()
+
+  ctx.clearRect(0, 0, width, height)
+  ctx.lineWidth = lineWidth
+  ctx.lineJoin = 'round'
+
+  contours.forEach((contour) => {
+    ctx.beginPath()
+    contour.polylines.forEach((polyline) => {
+      polyline.points.forEach((point, i) => {
+        projected.copy(point).project(camera)
+        const x = (projected.x + 1) / 2 * width
+        const y = (1 - projected.y) / 2 * height
+        if (i === 0) ctx.moveTo(x, y)
+        else ctx.lineTo(x, y)
+      })
+      if (polyline.closed) ctx.closePath()
+    })
+
+    ctx.strokeStyle = contour.color
+    ctx.stroke()
+    if (fillOpacity > 0) {
+      ctx.globalAlpha = fillOpacity
+      ctx.fillStyle = contour.color
+      ctx.fill('evenodd')
+      ctx.globalAlpha = 1
+    }
+  })
+}
@@ -0,0 +1,184 @@
+/**
+ * 分割标签工具函数
+ * 标签查找表（名称和颜色）解析，以及在 Web Worker 中生成标签表面并转换为 Three.js 网格
+ */
+
+import {
+  Box3,
+  BufferAttribute,
+  BufferGeometry,
+  Color,
+  DoubleSide,
+  Group,
+  Mesh,
+  MeshStandardMaterial,
+  Vector3
+} from 'three'
+import { getVolumeBoxMatrix } from '@/utils/volumeRenderer'
+
+/**
+ * 内置标签查找表（BraTS 脑肿瘤分割标签）
+ */
+export const DEFAULT_LABEL_LUT = {
+  1: { name: '坏死/非增强肿瘤核心', color: '#ff4d4f' },
+  2: { name: '瘤周水肿', color: '#52c41a' },
+  3: { name: '增强肿瘤', color: '#fadb14' },
+  4: { name: '增强肿瘤', color: '#fadb14' }
+}
+
+/**
+ * 解析标签查找表文本
+ * 支持 FreeSurfer ColorLUT（index name r g b a）和 ITK-SNAP 标签描述（idx r g b a vis mesh "name"）
+ * @param {string} text - 查找表文件内容
+ * @returns {Object} { [label]: { name, color } }
+ */
+export function parseLabelLUT(text) {
+  const lut = {}
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim()
+    if (!line || line.startsWith('#')) return
+
+    const quoted = line.match(/"([^"]*)"/)
+    let label
+    let name
+    let rgb
+
+    if (quoted) {
+      // ITK-SNAP：名称在引号内，前面依次为标签和 RGB
+      const numbers = line.slice(0, quoted.index).trim().split(/\s+/).map(Number)
+      label = numbers[0]
+      rgb = numbers.slice(1, 4)
+      name = quoted[1]
+    } else {
+      const tokens = line.split(/\s+/)
+      label = Number(tokens[0])
+      name = tokens[1]
+      rgb = tokens.slice(2, 5).map(Number)
+    }
+
+    if (!Number.isInteger(label) || label === 0 || rgb.length < 3 || rgb.some(v => !Number.isFinite(v))) return
+
+    lut[label] = {
+      name: name || `标签 ${label}`,
+      color: `#${new Color(rgb[0] / 255, rgb[1] / 255, rgb[2] / 255).getHexString()}`
+    }
+  })
+
+  if (Object.keys(lut).length === 0) {
+    throw new Error('查找表中没有有效的标签')
+  }
+  return lut
+}
+
+/**
+ * 获取标签的名称和颜色（查找表中没有时自动生成）
+ * @param {Object} lut - 标签查找表
+ * @param {number} label - 标签值
+ * @returns {Object} { name, color }
+ */
+export function getLabelEntry(lut, label) {
+  if (lut && lut[label]) return lut[label]
+
+  // 黄金角分布色相，相邻标签颜色区分明显
+  const hue = (label * 0.618033988749895) % 1
+  return {
+    name: `标签 ${label}`,
+    color: `#${new Color().setHSL(hue, 0.65, 0.55).getHexString()}`
+  }
+}
+
+/**
+ * 在 Web Worker 中生成标签表面
+ * @param {Object} volume - 标签体数据（parseNifti 的结果）
+ * @param {Object} options - 生成参数（见 marchingCubes.generateLabelSurfaces）
+ * @param {Function} onProgress - 进度回调 (完成数, 总数, 标签)
+ * @returns {Promise<Object[]>} [{ label, voxelCount, positions, indices }]（体素坐标）
+ */
+export function generateLabelSurfacesInWorker(volume, options = {}, onProgress = null) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(
+      new URL('../workers/labelSurface.worker.js', import.meta.url),
+      { type: 'module' }
+    )
+
+    worker.onmessage = (event) => {
+      const message = event.data
+      if (message.type === 'progress') {
+        if (onProgress) onProgress(message.done, message.total, message.label)
+        return
+      }
+
+      worker.terminate()
+      if (message.type === 'result') {
+        resolve(message.surfaces)
+      } else {
+        reject(new Error(message.message))
+      }
+    }
+
+    worker.onerror = (event) => {
+      worker.terminate()
+      reject(new Error(event.message || '标签表面生成失败'))
+    }
+
+    // 体数据可能仍在体渲染中使用，复制而不转移
+    worker.postMessage({ dims: volume.dims, data: volume.data, options })
+  })
+}
+
+/**
+ * 将标签表面转换为网格（体素坐标变换到物理坐标，整体与体渲染使用相同的居中缩放）
+ * @param {Object[]} surfaces - generateLabelSurfacesInWorker 的结果
+ * @param {Object} volume - 标签体数据
+ * @param {Object} lut - 标签查找表
+ * @returns {Group} 包含每个标签网格的组（mesh.userData.label 为标签值）
+ */
+export function createLabelSurfaceMeshes(surfaces, volume, lut = DEFAULT_LABEL_LUT) {
+  const group = new Group()
+  group.name = 'LabelSurfaces'
+
+  // 仿射矩阵为镜像变换时需要翻转三角形绕序，保证法向量朝外
+  const flipWinding = volume.affine.determinant() < 0
+
+  surfaces.forEach(({ label, voxelCount, positions, indices }) => {
+    if (indices.length === 0) return
+
+    if (flipWinding) {
+      for (let i = 0; i < indices.length; i += 3) {
+        const temp = indices[i + 1]
+        indices[i + 1] = indices[i + 2]
+        indices[i + 2] = temp
+      }
+    }
+
+    const geometry = new BufferGeometry()
+    geometry.setAttribute('position', new BufferAttribute(positions, 3))
+    geometry.setIndex(new BufferAttribute(indices, 1))
+    geometry.applyMatrix4(volume.affine)
+    geometry.computeVertexNormals()
+
+    const { name, color } = getLabelEntry(lut, label)
+    const mesh = new Mesh(geometry, new MeshStandardMaterial({
+      color,
+      metalness: 0.1,
+      roughness: 0.7,
+      side: DoubleSide
+    }))
+    mesh.name = name
+    mesh.userData.label = label
+    mesh.userData.voxelCount = voxelCount
+    group.add(mesh)
+  })
+
+  // 按体数据的完整包围盒居中缩放（与 normalizeModel 对体渲染网格的结果一致）
+  const box = new Box3(new Vector3(-0.5, -0.5, -0.5), new Vector3(0.5, 0.5, 0.5))
+    .applyMatrix4(getVolumeBoxMatrix(volume))
+  const size = box.getSize(new Vector3())
+  const scale = 2 / (Math.max(size.x, size.y, size.z) || 1)
+  group.scale.setScalar(scale)
+  group.position.copy(box.getCenter(new Vector3())).multiplyScalar(-scale)
+  group.updateMatrixWorld(true)
+
+  return group
+}
@@ -0,0 +1,294 @@
+/**
+ * 脉冲神经网络仿真
+ * 在 createNeuronNetwork 生成的突触连接上运行泄漏积分发放（LIF）或 Izhikevich 神经元模型：
+ * - 膜电位按模型方程积分，超过阈值发放脉冲并进入不应期
+ * - 脉冲沿传出突触传递，延迟由突触长度和传导速度决定，到达后按突触权重改变突触后膜电位
+ * - 每个神经元接收独立的泊松背景输入，兴奋在网络中级联传播
+ * 纯计算模块，不依赖 Three.js；时间单位为毫秒，电位单位为 mV
+ */
+
+import { requireRandom } from './random'
+
+/**
+ * 神经元模型
+ */
+export const NeuronModel = {
+  LIF: 'lif', // 泄漏积分发放
+  IZHIKEVICH: 'izhikevich' // Izhikevich 简化模型
+}
+
+/**
+ * Izhikevich 模型的常见放电类型 { a, b, c, d }
+ */
+export const IzhikevichPresets = {
+  RS: { name: '规则放电', a: 0.02, b: 0.2, c: -65, d: 8 },
+  IB: { name: '簇内放电', a: 0.02, b: 0.2, c: -55, d: 4 },
+  CH: { name: '快速簇放电', a: 0.02, b: 0.2, c: -50, d: 2 },
+  FS: { name: '快速放电', a: 0.1, b: 0.2, c: -65, d: 2 },
+  LTS: { name: '低阈值放电', a: 0.02, b: 0.25, c: -65, d: 2 }
+}
+
+/**
+ * 默认仿真参数
+ */
+export const DEFAULT_SIMULATION_PARAMS = {
+  model: NeuronModel.LIF,
+  izhikevichType: 'RS', // 兴奋性神经元的放电类型（抑制性神经元固定为快速放电）
+  restPotential: -65, // 静息电位和重置电位（LIF）
+  threshold: -50, // 发放阈值（LIF；Izhikevich 模型在膜电位达到 30mV 峰值时发放）
+  membraneTau: 20, // 膜时间常数（LIF）
+  refractory: 2, // 绝对不应期
+  synapticWeight: 4, // 兴奋性突触权重（突触后电位幅度）
+  inhibitoryRatio: 0.2, // 抑制性神经元比例
+  inhibitoryScale: 2, // 抑制性突触权重相对兴奋性权重的倍数（取负值）
+  conductionVelocity: 1, // 轴突传导速度（m/s，即 mm/ms）
+  minDelay: 1, // 最小突触延迟（递质释放和扩散）
+  backgroundRate: 200, // 每个神经元的泊松背景输入频率（Hz）
+  backgroundWeight: 2, // 背景输入权重
+  speed: 50 // 动画中每秒真实时间对应的仿真时间（ms），信号光点按该比例放慢显示
+}
+
+/**
+ * 各模型的背景输入默认值（Izhikevich 神经元的基强度约为 LIF 的 5 倍，需要更强的背景输入）
+ */
+export const NEURON_MODEL_DEFAULTS = {
+  [NeuronModel.LIF]: { backgroundRate: 200, backgroundWeight: 2 },
+  [NeuronModel.IZHIKEVICH]: { backgroundRate: 600, backgroundWeight: 3 }
+}
+
+// 积分步长
+export const SIMULATION_STEP = 0.5
+
+// Izhikevich 模型的发放峰值
+const IZHIKEVICH_PEAK = 30
+
+/**
+ * 计算折线长度
+ * @param {Vector3[]} points - 折线点
+ * @returns {number}
+ */
+function getPolylineLength(points) {
+  let length = 0
+  for (let i = 0; i + 1 < points.length; i++) {
+    length += points[i].distanceTo(points[i + 1])
+  }
+  return length
+}
+
+/**
+ * 按泊松分布采样事件数
+ * @param {number} mean - 期望值
+ * @param {Function} random - 随机数生成器
+ * @returns {number}
+ */
+function samplePoisson(mean, random) {
+  if (mean <= 0) return 0
+  const limit = Math.exp(-mean)
+  let count = 0
+  let product = random()
+  while (product > limit) {
+    count++
+    product *= random()
+  }
+  return count
+}
+
+/**
+ * 创建脉冲神经网络
+ * @param {number} neuronCount - 神经元数量
+ * @param {Object[]} synapses - 突触列表 [{ source, target, points }]（createNeuronNetwork 的结果）
+ * @param {Object} params - 仿真参数（缺省项取 DEFAULT_SIMULATION_PARAMS）
+ * @param {Object} options - 其他选项
+ * @param {number} options.lengthScale - 每世界单位对应的毫米数（用于由突触长度计算延迟）
+ * @param {Function} options.random - 随机数生成器（必须传入）
+ * @returns {Object} 仿真状态
+ */
+export function createSpikingNetwork(neuronCount, synapses, params = {}, options = {}) {
+  const { lengthScale = 1 } = options
+  const random = requireRandom(options.random, 'createSpikingNetwork')
+  const settings = { ...DEFAULT_SIMULATION_PARAMS, ...params }
+  const dt = SIMULATION_STEP
+
+  // 神经元类型（Dale 定律：同一神经元的所有传出突触同为兴奋性或抑制性）
+  const inhibitory = new Uint8Array(neuronCount)
+  for (let i = 0; i < neuronCount; i++) {
+    inhibitory[i] = random() < settings.inhibitoryRatio ? 1 : 0
+  }
+
+  // 传出突触按源神经元分组（压缩行存储）
+  const outgoingOffsets = new Uint32Array(neuronCount + 1)
+  synapses.forEach(({ source }) => { outgoingOffsets[source + 1]++ })
+  for (let i = 0; i < neuronCount; i++) {
+    outgoingOffsets[i + 1] += outgoingOffsets[i]
+  }
+  const outgoingSynapses = new Uint32Array(synapses.length)
+  const fill = outgoingOffsets.slice(0, neuronCount)
+  synapses.forEach(({ source }, index) => {
+    outgoingSynapses[fill[source]++] = index
+  })
+
+  // 突触目标、权重和延迟（延迟以积分步数表示）
+  const targets = new Uint32Array(synapses.length)
+  const weights = new Float32Array(synapses.length)
+  const delays = new Float32Array(synapses.length)
+  const delaySteps = new Uint16Array(synapses.length)
+  let maxDelaySteps = 1
+  synapses.forEach((synapse, index) => {
+    targets[index] = synapse.target
+    // 权重在设定值附近随机浮动，避免网络同步振荡
+    const weight = settings.synapticWeight * (0.5 + random())
+    weights[index] = inhibitory[synapse.source] ? -weight * settings.inhibitoryScale : weight
+
+    const lengthMm = getPolylineLength(synapse.points) * lengthScale
+    delays[index] = settings.minDelay + lengthMm / Math.max(settings.conductionVelocity, 1e-3)
+    delaySteps[index] = Math.max(1, Math.round(delays[index] / dt))
+    maxDelaySteps = Math.max(maxDelaySteps, delaySteps[index])
+  })
+
+  // 膜电位初始值随机分布在静息电位和阈值之间，避免所有神经元同时发放
+  const v = new Float32Array(neuronCount)
+  const u = new Float32Array(neuronCount)
+  const izhikevich = settings.model === NeuronModel.IZHIKEVICH
+  const excitatoryType = IzhikevichPresets[settings.izhikevichType] || IzhikevichPresets.RS
+  const types = [excitatoryType, IzhikevichPresets.FS]
+  for (let i = 0; i < neuronCount; i++) {
+    if (izhikevich) {
+      const { b, c } = types[inhibitory[i]]
+      v[i] = c + random() * 10
+      u[i] = b * v[i]
+    } else {
+      v[i] = settings.restPotential + random() * (settings.threshold - settings.restPotential) * 0.8
+    }
+  }
+
+  return {
+    params: settings,
+    neuronCount,
+    time: 0,
+    v,
+    u,
+    input: new Float32Array(neuronCount), // 本步到达的突触输入
+    refractoryUntil: new Float32Array(neuronCount).fill(-Infinity),
+    inhibitory,
+    izhikevichTypes: types,
+    outgoingOffsets,
+    outgoingSynapses,
+    targets,
+    weights,
+    delays,
+    delaySteps,
+    // 延迟队列：环形缓冲区，每格存放该步到达的突触编号
+    queue: Array.from({ length: maxDelaySteps + 1 }, () => []),
+    queueHead: 0,
+    remainder: 0, // 不足一步的剩余仿真时间
+    spikeCount: 0,
+    random
+  }
+}
+
+/**
+ * 遍历神经元的传出突触
+ * @param {Object} simulation - createSpikingNetwork 的结果
+ * @param {number} neuron - 神经元编号
+ * @param {Function} callback - (synapseIndex, delay) => void
+ */
+export function forEachOutgoingSynapse(simulation, neuron, callback) {
+  const { outgoingOffsets, outgoingSynapses, delays } = simulation
+  for (let k = outgoingOffsets[neuron]; k < outgoingOffsets[neuron + 1]; k++) {
+    const synapse = outgoingSynapses[k]
+    callback(synapse, delays[synapse])
+  }
+}
+
+/**
+ * 积分一步
+ * @param {Object} simulation - 仿真状态
+ * @param {Function} onSpike - 发放回调 (neuron, time) => void
+ */
+function stepSpikingNetwork(simulation, onSpike) {
+  const {
+    params, neuronCount, v, u, input, refractoryUntil, inhibitory, izhikevichTypes,
+    outgoingOffsets, outgoingSynapses, targets, weights, delaySteps, queue, random
+  } = simulation
+  const dt = SIMULATION_STEP
+  const time = simulation.time
+
+  // 1. 投递本步到达的突触输入
+  const arriving = queue[simulation.queueHead]
+  for (let k = 0; k < arriving.length; k++) {
+    const synapse = arriving[k]
+    input[targets[synapse]] += weights[synapse]
+  }
+  arriving.length = 0
+
+  const backgroundMean = params.backgroundRate * dt / 1000
+  const izhikevich = params.model === NeuronModel.IZHIKEVICH
+  const decay = Math.exp(-dt / params.membraneTau)
+
+  for (let i = 0; i < neuronCount; i++) {
+    // 2. 突触输入和泊松背景输入（以膜电位跳变的形式作用）
+    const current = input[i] + samplePoisson(backgroundMean, random) * params.backgroundWeight
+    input[i] = 0
+
+    // 不应期内忽略输入
+    if (time < refractoryUntil[i]) continue
+
+    // 3. 按模型更新膜电位
+    let spiked = false
+    if (izhikevich) {
+      const { a, b, c, d } = izhikevichTypes[inhibitory[i]]
+      let potential = v[i] + current
+      // 膜电位分两个半步积分以保证数值稳定
+      for (let half = 0; half < 2; half++) {
+        potential += 0.5 * dt * (0.04 * potential * potential + 5 * potential + 140 - u[i])
+      }
+      u[i] += dt * a * (b * potential - u[i])
+      if (potential >= IZHIKEVICH_PEAK) {
+        potential = c
+        u[i] += d
+        spiked = true
+      }
+      v[i] = potential
+    } else {
+      const potential = params.restPotential + (v[i] - params.restPotential) * decay + current
+      if (potential >= params.threshold) {
+        v[i] = params.restPotential
+        spiked = true
+      } else {
+        v[i] = potential
+      }
+    }
+
+    if (!spiked) continue
+
+    // 4. 发放：进入不应期，脉冲按各突触的延迟进入队列
+    refractoryUntil[i] = time + params.refractory
+    simulation.spikeCount++
+    for (let k = outgoingOffsets[i]; k < outgoingOffsets[i + 1]; k++) {
+      const synapse = outgoingSynapses[k]
+      queue[(simulation.queueHead + delaySteps[synapse]) % queue.length].push(synapse)
+    }
+    if (onSpike) onSpike(i, time)
+  }
+
+  simulation.time += dt
+  simulation.queueHead = (simulation.queueHead + 1) % queue.length
+}
+
+/**
+ * 推进仿真
+ * @param {Object} simulation - createSpikingNetwork 的结果
+ * @param {number} duration - 推进的仿真时间（不足一步的部分累计到下次）
+ * @param {Function} onSpike - 发放回调 (neuron, time) => void
+ * @returns {number} 本次推进的步数
+ */
+export function advanceSpikingNetwork(simulation, duration, onSpike = null) {
+  simulation.remainder += duration
+  let steps = 0
+  while (simulation.remainder >= SIMULATION_STEP) {
+    stepSpikingNetwork(simulation, onSpike)
+    simulation.remainder -= SIMULATION_STEP
+    steps++
+  }
+  return steps
+}
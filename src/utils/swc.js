@@ -0,0 +1,270 @@
+/**
+ * SWC 神经元形态文件
+ * SWC 是 NeuroMorpho.org 使用的标准格式，每行一个采样点：
+ *   编号 类型 x y z 半径 父节点编号（根节点的父节点为 -1，坐标和半径单位为 μm）
+ * 解析后按分支拆分为若干段折线，并生成半径随采样点变化的管状几何体
+ */
+
+import * as THREE from 'three'
+
+/**
+ * SWC 采样点类型（标准定义的前四种，其余为自定义类型）
+ */
+export const SwcType = {
+  UNDEFINED: 0,
+  SOMA: 1,
+  AXON: 2,
+  BASAL_DENDRITE: 3,
+  APICAL_DENDRITE: 4
+}
+
+/**
+ * 各类型的显示名称
+ */
+export const SWC_TYPE_NAMES = {
+  [SwcType.UNDEFINED]: '未定义',
+  [SwcType.SOMA]: '胞体',
+  [SwcType.AXON]: '轴突',
+  [SwcType.BASAL_DENDRITE]: '基底树突',
+  [SwcType.APICAL_DENDRITE]: '顶树突'
+}
+
+// 各类型的颜色（与程序生成的神经元一致：树突青色、轴突橙色）
+const SWC_TYPE_COLORS = {
+  [SwcType.AXON]: 0xff8800,
+  [SwcType.BASAL_DENDRITE]: 0x00d4ff,
+  [SwcType.APICAL_DENDRITE]: 0x66e8ff
+}
+const OTHER_TYPE_COLOR = 0xaaaaaa
+
+/**
+ * 解析 SWC 文本
+ * @param {string} text - 文件内容
+ * @returns {Object[]} 采样点列表 [{ id, type, x, y, z, radius, parent }]
+ */
+export function parseSWC(text) {
+  const samples = []
+  const ids = new Set()
+
+  text.split(/\r?\n/).forEach((line, lineIndex) => {
+    const content = line.replace(/#.*/, '').trim()
+    if (!content) return
+
+    const fields = content.split(/\s+/).map(Number)
+    if (fields.length < 7 || fields.slice(0, 7).some(value => !Number.isFinite(value))) {
+      throw new Error(`第 ${lineIndex + 1} 行格式错误`)
+    }
+
+    const [id, type, x, y, z, radius, parent] = fields
+    if (ids.has(id)) {
+      throw new Error(`第 ${lineIndex + 1} 行的采样点编号 ${id} 重复`)
+    }
+    ids.add(id)
+    samples.push({ id, type, x, y, z, radius: Math.max(radius, 0), parent })
+  })
+
+  if (samples.length === 0) {
+    throw new Error('文件中没有采样点')
+  }
+
+  const missing = samples.find(sample => sample.parent !== -1 && !ids.has(sample.parent))
+  if (missing) {
+    throw new Error(`采样点 ${missing.id} 的父节点 ${missing.parent} 不存在`)
+  }
+
+  return samples
+}
+
+/**
+ * 由采样点构建神经元形态
+ * 胞体中心取所有胞体采样点的平均位置（单点、三点和轮廓三种胞体表示都适用），
+ * 突起从分支点和类型变化处拆分为若干段，每段包含父节点以保持连续
+ * @param {Object[]} samples - parseSWC 的结果
+ * @returns {Object} { soma: { center, radius }, sections: [{ type, points, radii }], axonTerminals, radius, hasAxon }
+ *   坐标为相对胞体中心的 [x, y, z]（μm），radius 为形态的最大半径
+ */
+export function createSwcMorphology(samples) {
+  const byId = new Map(samples.map(sample => [sample.id, sample]))
+  const children = new Map()
+  samples.forEach((sample) => {
+    if (sample.parent === -1) return
+    if (!children.has(sample.parent)) children.set(sample.parent, [])
+    children.get(sample.parent).push(sample)
+  })
+
+  // 胞体
+  const roots = samples.filter(sample => sample.parent === -1)
+  const somaSamples = samples.filter(sample => sample.type === SwcType.SOMA)
+  const somaSource = somaSamples.length > 0 ? somaSamples : [roots[0] || samples[0]]
+  const center = [0, 1, 2].map(axis => somaSource.reduce(
+    (sum, sample) => sum + [sample.x, sample.y, sample.z][axis], 0
+  ) / somaSource.length)
+  const meanRadius = somaSource.reduce((sum, sample) => sum + sample.radius, 0) / somaSource.length
+  const meanDistance = somaSource.reduce((sum, sample) => sum + Math.hypot(
+    sample.x - center[0], sample.y - center[1], sample.z - center[2]
+  ), 0) / somaSource.length
+  const somaRadius = Math.max(meanRadius, meanDistance, 1)
+
+  const toLocal = sample => [sample.x - center[0], sample.y - center[1], sample.z - center[2]]
+
+  // 突起：从每个分支起点沿单一子节点延伸，直到分支、终止或类型变化
+  const sections = []
+  const axonTerminals = []
+  let radius = somaRadius
+  const visited = new Set()
+  const stack = []
+  samples.forEach((sample) => {
+    if (sample.type === SwcType.SOMA) return
+    const parent = byId.get(sample.parent)
+    // 分段起点：根节点、父节点为胞体、父节点有多个子节点或类型与父节点不同
+    const isStart = !parent ||
+      parent.type === SwcType.SOMA ||
+      children.get(parent.id).length > 1 ||
+      parent.type !== sample.type
+    if (isStart) stack.push(sample)
+  })
+
+  while (stack.length > 0) {
+    const start = stack.pop()
+    if (visited.has(start.id)) continue
+
+    const parent = byId.get(start.parent)
+    const points = parent ? [toLocal(parent)] : []
+    const radii = parent ? [parent.type === SwcType.SOMA ? start.radius : parent.radius] : []
+
+    let current = start
+    while (current && !visited.has(current.id)) {
+      visited.add(current.id)
+      const point = toLocal(current)
+      points.push(point)
+      radii.push(current.radius)
+      radius = Math.max(radius, Math.hypot(...point))
+
+      const next = children.get(current.id) || []
+      if (next.length === 0 && current.type === SwcType.AXON) {
+        axonTerminals.push(point)
+      }
+      // 只有一个同类型子节点时继续当前分段，否则由分段起点处理
+      current = next.length === 1 && next[0].type === current.type ? next[0] : null
+    }
+
+    if (points.length >= 2) {
+      sections.push({ type: start.type, points, radii })
+    }
+  }
+
+  return {
+    soma: { center, radius: somaRadius },
+    sections,
+    axonTerminals,
+    radius,
+    hasAxon: sections.some(section => section.type === SwcType.AXON),
+    sampleCount: samples.length
+  }
+}
+
+/**
+ * 为折线生成管状网格的各环坐标系（平行移动标架，避免管壁扭转）
+ * @param {Vector3[]} points - 折线点
+ * @returns {Object[]} [{ normal, binormal }]
+ */
+function computeTubeFrames(points) {
+  const frames = []
+  const tangent = new THREE.Vector3()
+  let normal = null
+
+  points.forEach((point, i) => {
+    const previous = points[Math.max(i - 1, 0)]
+    const next = points[Math.min(i + 1, points.length - 1)]
+    tangent.subVectors(next, previous)
+    if (tangent.lengthSq() < 1e-12) tangent.set(0, 1, 0)
+    tangent.normalize()
+
+    if (normal) {
+      // 上一环的法向量投影到当前切线的垂直平面
+      normal.addScaledVector(tangent, -normal.dot(tangent))
+    }
+    if (!normal || normal.lengthSq() < 1e-8) {
+      normal = Math.abs(tangent.x) < 0.9
+        ? new THREE.Vector3(1, 0, 0).cross(tangent)
+        : new THREE.Vector3(0, 1, 0).cross(tangent)
+    }
+    normal.normalize()
+
+    frames.push({ normal: normal.clone(), binormal: new THREE.Vector3().crossVectors(tangent, normal) })
+  })
+
+  return frames
+}
+
+/**
+ * 生成突起的管状几何体（顶点颜色表示类型，半径随采样点变化）
+ * @param {Object} morphology - createSwcMorphology 的结果
+ * @param {Object} options - 几何参数
+ * @param {number} options.radiusScale - 半径放大倍数（真实比例下突起通常细于一个像素）
+ * @param {number} options.radialSegments - 管壁分段数
+ * @returns {Object} { geometry, faceTypes: Uint8Array }（坐标单位为 μm，相对胞体中心）
+ */
+export function createSwcNeuriteGeometry(morphology, options = {}) {
+  const { radiusScale = 1, radialSegments = 6 } = options
+  const ringSize = radialSegments + 1
+
+  let vertexCount = 0
+  let faceCount = 0
+  morphology.sections.forEach(({ points }) => {
+    vertexCount += points.length * ringSize
+    faceCount += (points.length - 1) * radialSegments * 2
+  })
+
+  const positions = new Float32Array(vertexCount * 3)
+  const normals = new Float32Array(vertexCount * 3)
+  const colors = new Float32Array(vertexCount * 3)
+  const indices = vertexCount > 65535 ? new Uint32Array(faceCount * 3) : new Uint16Array(faceCount * 3)
+  const faceTypes = new Uint8Array(faceCount)
+
+  const color = new THREE.Color()
+  const direction = new THREE.Vector3()
+  let vertex = 0
+  let face = 0
+
+  morphology.sections.forEach(({ type, points, radii }) => {
+    const vectors = points.map(point => new THREE.Vector3(...point))
+    const frames = computeTubeFrames(vectors)
+    color.set(SWC_TYPE_COLORS[type] ?? OTHER_TYPE_COLOR)
+    const firstVertex = vertex
+
+    vectors.forEach((point, i) => {
+      const { normal, binormal } = frames[i]
+      const radius = radii[i] * radiusScale
+      for (let j = 0; j <= radialSegments; j++) {
+        const angle = (j / radialSegments) * Math.PI * 2
+        direction.copy(normal).multiplyScalar(Math.cos(angle)).addScaledVector(binormal, Math.sin(angle))
+        positions[vertex * 3] = point.x + direction.x * radius
+        positions[vertex * 3 + 1] = point.y + direction.y * radius
+        positions[vertex * 3 + 2] = point.z + direction.z * radius
+        direction.toArray(normals, vertex * 3)
+        color.toArray(colors, vertex * 3)
+        vertex++
+      }
+    })
+
+    for (let i = 0; i + 1 < vectors.length; i++) {
+      for (let j = 0; j < radialSegments; j++) {
+        const a = firstVertex + i * ringSize + j
+        const b = a + ringSize
+        indices.set([a, b, a + 1, b, b + 1, a + 1], face * 3)
+        faceTypes[face++] = type
+        faceTypes[face++] = type
+      }
+    }
+  })
+
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3))
+  geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3))
+  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3))
+  geometry.setIndex(new THREE.BufferAttribute(indices, 1))
+  geometry.computeBoundingSphere()
+
+  return { geometry, faceTypes }
+}
@@ -0,0 +1,361 @@
+/**
+ * 体渲染工具函数
+ * 将 NIfTI 体数据上传为三维纹理，在包围盒内以光线步进（ray marching）方式渲染，
+ * 支持传递函数、窗宽窗位、合成/最大密度投影（MIP）两种模式，以及与网格一致的截面裁剪
+ */
+
+import {
+  Mesh,
+  BoxGeometry,
+  ShaderMaterial,
+  Data3DTexture,
+  DataTexture,
+  DataUtils,
+  Matrix4,
+  Vector4,
+  RedFormat,
+  RGBAFormat,
+  HalfFloatType,
+  LinearFilter,
+  BackSide,
+  GLSL3
+} from 'three'
+
+// 着色器支持的最大裁剪平面数量
+const MAX_CLIP_PLANES = 8
+
+// 单条光线的最大步数
+const MAX_STEPS = 1024
+
+/**
+ * 体渲染模式枚举
+ */
+export const VolumeRenderMode = {
+  COMPOSITE: 'composite', // 合成：按传递函数累积颜色和不透明度
+  MIP: 'mip'              // 最大密度投影：取光线上的最大值
+}
+
+/**
+ * 传递函数预设（颜色节点：[位置, r, g, b, a]，均为 0-1）
+ */
+export const TransferFunctionPresets = {
+  grayscale: {
+    name: '灰度',
+    stops: [[0, 0, 0, 0, 0], [1, 1, 1, 1, 1]]
+  },
+  hot: {
+    name: '热力',
+    stops: [[0, 0, 0, 0, 0], [0.35, 0.8, 0, 0, 0.3], [0.7, 1, 0.8, 0, 0.7], [1, 1, 1, 1, 1]]
+  },
+  tissue: {
+    name: '软组织',
+    stops: [[0, 0, 0, 0, 0], [0.15, 0, 0, 0, 0], [0.4, 0.85, 0.45, 0.4, 0.15], [0.75, 0.95, 0.85, 0.75, 0.6], [1, 1, 1, 1, 1]]
+  },
+  rainbow: {
+    name: '彩虹',
+    stops: [[0, 0, 0, 0.5, 0], [0.25, 0, 0.6, 1, 0.25], [0.5, 0, 1, 0.3, 0.5], [0.75, 1, 0.8, 0, 0.75], [1, 1, 0, 0, 1]]
+  }
+}
+
+const vertexShader = /* glsl */ `
+  out vec3 vLocalPosition;
+  out vec3 vCameraLocal;
+
+  void main() {
+    vLocalPosition = position;
+    // 相机位置换算到包围盒局部坐标，光线在局部空间中步进
+    vCameraLocal = (inverse(modelMatrix) * vec4(cameraPosition, 1.0)).xyz;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`
+
+const fragmentShader = /* glsl */ `
+  precision highp float;
+  precision highp sampler3D;
+
+  #define MAX_CLIP_PLANES ${MAX_CLIP_PLANES}
+  #define MAX_STEPS ${MAX_STEPS}
+
+  uniform sampler3D uVolume;
+  uniform sampler2D uTransfer;
+  uniform float uWindowMin;
+  uniform float uWindowMax;
+  uniform float uOpacity;
+  uniform float uSteps;
+  uniform int uRenderMode;
+  uniform vec4 uClipPlanes[MAX_CLIP_PLANES];
+  uniform int uClipPlaneCount;
+  uniform bool uClipIntersection;
+
+  in vec3 vLocalPosition;
+  in vec3 vCameraLocal;
+  out vec4 outColor;
+
+  // 光线与单位包围盒 [-0.5, 0.5]^3 的交点参数
+  vec2 intersectBox(vec3 origin, vec3 dir) {
+    vec3 inv = 1.0 / dir;
+    vec3 t0 = (vec3(-0.5) - origin) * inv;
+    vec3 t1 = (vec3(0.5) - origin) * inv;
+    vec3 tMin = min(t0, t1);
+    vec3 tMax = max(t0, t1);
+    return vec2(max(max(tMin.x, tMin.y), tMin.z), min(min(tMax.x, tMax.y), tMax.z));
+  }
+
+  // 与材质裁剪规则一致：保留平面法向量一侧（平面已换算到局部坐标）
+  bool isClipped(vec3 pos) {
+    if (uClipPlaneCount == 0) return false;
+    for (int i = 0; i < MAX_CLIP_PLANES; i++) {
+      if (i >= uClipPlaneCount) break;
+      bool outside = dot(uClipPlanes[i].xyz, pos) + uClipPlanes[i].w < 0.0;
+      if (uClipIntersection && !outside) return false;
+      if (!uClipIntersection && outside) return true;
+    }
+    return uClipIntersection;
+  }
+
+  float sampleWindowed(vec3 pos) {
+    float value = texture(uVolume, pos + 0.5).r;
+    return clamp((value - uWindowMin) / max(uWindowMax - uWindowMin, 1e-5), 0.0, 1.0);
+  }
+
+  void main() {
+    vec3 dir = normalize(vLocalPosition - vCameraLocal);
+    vec2 bounds = intersectBox(vCameraLocal, dir);
+    bounds.x = max(bounds.x, 0.0);
+    if (bounds.x >= bounds.y) discard;
+
+    float stepSize = 1.7320508 / uSteps;
+    vec4 color = vec4(0.0);
+    float maxValue = 0.0;
+
+    for (int i = 0; i < MAX_STEPS; i++) {
+      float t = bounds.x + (float(i) + 0.5) * stepSize;
+      if (t > bounds.y) break;
+
+      vec3 pos = vCameraLocal + dir * t;
+      if (isClipped(pos)) continue;
+
+      float value = sampleWindowed(pos);
+
+      if (uRenderMode == 1) {
+        maxValue = max(maxValue, value);
+        continue;
+      }
+
+      vec4 sampleColor = texture(uTransfer, vec2(value, 0.5));
+      // 按步长换算的不透明度（Beer-Lambert），步数变化时整体亮度保持一致
+      float alpha = 1.0 - exp(-sampleColor.a * uOpacity * stepSize * 50.0);
+      color.rgb += (1.0 - color.a) * alpha * sampleColor.rgb;
+      color.a += (1.0 - color.a) * alpha;
+
+      if (color.a > 0.98) break;
+    }
+
+    if (uRenderMode == 1) {
+      vec3 rgb = texture(uTransfer, vec2(maxValue, 0.5)).rgb;
+      float alpha = clamp(maxValue * uOpacity, 0.0, 1.0);
+      color = vec4(rgb * alpha, alpha);
+    }
+
+    if (color.a < 0.005) discard;
+    // 输出预乘透明度的颜色
+    outColor = color;
+  }
+`
+
+/**
+ * 创建体数据的三维纹理（归一化到 0-1 后以半精度浮点存储，可线性插值）
+ * @param {Object} volume - NIfTI 体数据
+ * @returns {Data3DTexture} 三维纹理
+ */
+export function createVolumeTexture(volume) {
+  const { data, dims, min, max } = volume
+  const range = max - min || 1
+
+  const halfData = new Uint16Array(data.length)
+  for (let i = 0; i < data.length; i++) {
+    const value = Number.isFinite(data[i]) ? (data[i] - min) / range : 0
+    halfData[i] = DataUtils.toHalfFloat(value)
+  }
+
+  const texture = new Data3DTexture(halfData, dims[0], dims[1], dims[2])
+  texture.format = RedFormat
+  texture.type = HalfFloatType
+  texture.minFilter = LinearFilter
+  texture.magFilter = LinearFilter
+  texture.unpackAlignment = 1
+  texture.needsUpdate = true
+  return texture
+}
+
+/**
+ * 创建传递函数纹理（256 x 1 RGBA）
+ * @param {string} preset - 预设名称（见 TransferFunctionPresets）
+ * @returns {DataTexture} 传递函数纹理
+ */
+export function createTransferFunctionTexture(preset = 'grayscale') {
+  const { stops } = TransferFunctionPresets[preset] || TransferFunctionPresets.grayscale
+  const size = 256
+  const pixels = new Uint8Array(size * 4)
+
+  for (let i = 0; i < size; i++) {
+    const t = i / (size - 1)
+    // 在相邻节点之间线性插值
+    let upper = stops.findIndex(stop => stop[0] >= t)
+    if (upper <= 0) upper = Math.max(upper, 1)
+    const a = stops[upper - 1]
+    const b = stops[upper]
+    const f = b[0] > a[0] ? Math.min(Math.max((t - a[0]) / (b[0] - a[0]), 0), 1) : 0
+
+    for (let c = 0; c < 4; c++) {
+      pixels[i * 4 + c] = Math.round((a[c + 1] + (b[c + 1] - a[c + 1]) * f) * 255)
+    }
+  }
+
+  const texture = new DataTexture(pixels, size, 1, RGBAFormat)
+  texture.minFilter = LinearFilter
+  texture.magFilter = LinearFilter
+  texture.needsUpdate = true
+  return texture
+}
+
+/**
+ * 计算单位包围盒到物理坐标（毫米）的变换
+ * 包围盒局部坐标 [-0.5, 0.5] 对应体素索引 [-0.5, n - 0.5]，即体素中心位于纹理采样点
+ * @param {Object} volume - NIfTI 体数据
+ * @returns {Matrix4} 变换矩阵
+ */
+export function getVolumeBoxMatrix(volume) {
+  const [nx, ny, nz] = volume.dims
+  return volume.affine.clone()
+    .multiply(new Matrix4().makeTranslation(-0.5, -0.5, -0.5))
+    .multiply(new Matrix4().makeScale(nx, ny, nz))
+    .multiply(new Matrix4().makeTranslation(0.5, 0.5, 0.5))
+}
+
+/**
+ * 创建体渲染网格
+ * @param {Object} volume - NIfTI 体数据
+ * @param {Object} options - 渲染参数（见 updateVolumeMaterial）
+ * @returns {Mesh} 体渲染网格（局部坐标为单位包围盒，变换到物理坐标）
+ */
+export function createVolumeMesh(volume, options = {}) {
+  const material = new ShaderMaterial({
+    glslVersion: GLSL3,
+    vertexShader,
+    fragmentShader,
+    uniforms: {
+      uVolume: { value: createVolumeTexture(volume) },
+      uTransfer: { value: null },
+      uWindowMin: { value: 0 },
+      uWindowMax: { value: 1 },
+      uOpacity: { value: 1 },
+      uSteps: { value: Math.min(Math.max(...volume.dims) * 1.5, MAX_STEPS) },
+      uRenderMode: { value: 0 },
+      uClipPlanes: { value: Array.from({ length: MAX_CLIP_PLANES }, () => new Vector4()) },
+      uClipPlaneCount: { value: 0 },
+      uClipIntersection: { value: false }
+    },
+    side: BackSide, // 渲染背面，相机进入包围盒内部时仍可见
+    transparent: true,
+    depthWrite: false,
+    premultipliedAlpha: true
+  })
+
+  const mesh = new Mesh(new BoxGeometry(1, 1, 1), material)
+  mesh.name = 'VolumeRender'
+  mesh.matrixAutoUpdate = false
+  mesh.matrix.copy(getVolumeBoxMatrix(volume))
+  mesh.userData.type = 'volume'
+  mesh.userData.volume = volume
+  mesh.userData.transferPreset = null
+
+  updateVolumeMaterial(mesh, options)
+  return mesh
+}
+
+/**
+ * 更新体渲染参数
+ * @param {Mesh} mesh - 体渲染网格
+ * @param {Object} options - 渲染参数
+ * @param {number} options.windowWidth - 窗宽（原始体素值单位）
+ * @param {number} options.windowLevel - 窗位（原始体素值单位）
+ * @param {number} options.opacity - 不透明度系数
+ * @param {string} options.renderMode - 渲染模式 (composite/mip)
+ * @param {string} options.transferFunction - 传递函数预设名称
+ */
+export function updateVolumeMaterial(mesh, options = {}) {
+  if (!mesh) return
+
+  const { uniforms } = mesh.material
+  const { min, max } = mesh.userData.volume
+  const range = max - min || 1
+
+  if (options.windowWidth !== undefined && options.windowLevel !== undefined) {
+    // 窗宽窗位换算为纹理中的归一化值
+    const low = options.windowLevel - options.windowWidth / 2
+    const high = options.windowLevel + options.windowWidth / 2
+    uniforms.uWindowMin.value = (low - min) / range
+    uniforms.uWindowMax.value = (high - min) / range
+  }
+
+  if (options.opacity !== undefined) {
+    uniforms.uOpacity.value = options.opacity
+  }
+
+  if (options.renderMode !== undefined) {
+    uniforms.uRenderMode.value = options.renderMode === VolumeRenderMode.MIP ? 1 : 0
+  }
+
+  if (options.transferFunction && options.transferFunction !== mesh.userData.transferPreset) {
+    if (uniforms.uTransfer.value) {
+      uniforms.uTransfer.value.dispose()
+    }
+    uniforms.uTransfer.value = createTransferFunctionTexture(options.transferFunction)
+    mesh.userData.transferPreset = options.transferFunction
+  }
+}
+
+/**
+ * 设置体渲染的裁剪平面（与网格材质 clippingPlanes 语义一致）
+ * @param {Mesh} mesh - 体渲染网格
+ * @param {Plane[]} planes - 世界坐标下的裁剪平面
+ * @param {boolean} clipIntersection - 是否只切除所有平面背面的交集
+ */
+export function setVolumeClippingPlanes(mesh, planes = [], clipIntersection = false) {
+  if (!mesh) return
+
+  const { uniforms } = mesh.material
+  const count = Math.min(planes.length, MAX_CLIP_PLANES)
+  if (planes.length > MAX_CLIP_PLANES) {
+    console.warn(`体渲染最多支持 ${MAX_CLIP_PLANES} 个裁剪平面，其余平面将被忽略`)
+  }
+
+  // 平面换算到包围盒局部坐标，着色器中直接用采样点判断
+  mesh.updateMatrixWorld(true)
+  const worldToLocal = mesh.matrixWorld.clone().invert()
+  for (let i = 0; i < count; i++) {
+    const plane = planes[i].clone().applyMatrix4(worldToLocal)
+    uniforms.uClipPlanes.value[i].set(plane.normal.x, plane.normal.y, plane.normal.z, plane.constant)
+  }
+  uniforms.uClipPlaneCount.value = count
+  uniforms.uClipIntersection.value = clipIntersection
+}
+
+/**
+ * 释放体渲染资源
+ * @param {Mesh} mesh - 体渲染网格
+ */
+export function disposeVolumeMesh(mesh) {
+  if (!mesh) return
+
+  if (mesh.parent) {
+    mesh.parent.remove(mesh)
+  }
+
+  const { uniforms } = mesh.material
+  if (uniforms.uVolume.value) uniforms.uVolume.value.dispose()
+  if (uniforms.uTransfer.value) uniforms.uTransfer.value.dispose()
+  mesh.material.dispose()
+  mesh.geometry.dispose()
+}
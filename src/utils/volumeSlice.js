@@ -0,0 +1,279 @@
+/**
+ * 体数据切片工具函数
+ * 在世界坐标下按轴向截面对体数据重采样，生成带窗宽窗位和伪彩色的二维切片图像
+ */
+
+import { Box3, Matrix4, Vector3 } from 'three'
+
+/**
+ * 切片伪彩色枚举
+ */
+export const SliceColormap = {
+  GRAYSCALE: 'grayscale', // 灰度
+  HOT: 'hot',             // 热力：黑-红-黄-白
+  JET: 'jet'              // 蓝-青-黄-红
+}
+
+/**
+ * 切片插值方式枚举
+ */
+export const SliceInterpolation = {
+  NEAREST: 'nearest',    // 最近邻：保留体素边界
+  TRILINEAR: 'trilinear' // 三线性插值：平滑
+}
+
+// 各截面切片图像的方向（与三视图相机一致：right 为图像向右，up 为图像向上）
+// axis 为世界坐标轴（0: X, 1: Y, 2: Z），sign 为方向
+const SLICE_AXES = {
+  coronal: { normal: 0, right: { axis: 2, sign: 1 }, up: { axis: 1, sign: 1 } },
+  sagittal: { normal: 1, right: { axis: 0, sign: 1 }, up: { axis: 2, sign: 1 } },
+  axial: { normal: 2, right: { axis: 0, sign: -1 }, up: { axis: 1, sign: 1 } }
+}
+
+// 切片图像的最大边长（像素）
+const MAX_SLICE_SIZE = 512
+
+/**
+ * 伪彩色函数（t: 0-1 -> [r, g, b]，0-255）
+ */
+const COLORMAP_FUNCTIONS = {
+  [SliceColormap.GRAYSCALE]: t => [t * 255, t * 255, t * 255],
+  [SliceColormap.HOT]: t => [
+    Math.min(t / 0.375, 1) * 255,
+    Math.min(Math.max((t - 0.375) / 0.375, 0), 1) * 255,
+    Math.min(Math.max((t - 0.75) / 0.25, 0), 1) * 255
+  ],
+  [SliceColormap.JET]: (t) => {
+    const channel = offset => Math.min(Math.max(1.5 - Math.abs(4 * t - offset), 0), 1) * 255
+    return [channel(3), channel(2), channel(1)]
+  }
+}
+
+/**
+ * 创建伪彩色查找表
+ * @param {string} colormap - 伪彩色名称
+ * @returns {Uint8Array} 256 x 3 的 RGB 查找表
+ */
+export function createColormapLUT(colormap = SliceColormap.GRAYSCALE) {
+  const fn = COLORMAP_FUNCTIONS[colormap] || COLORMAP_FUNCTIONS[SliceColormap.GRAYSCALE]
+  const lut = new Uint8Array(256 * 3)
+  for (let i = 0; i < 256; i++) {
+    const [r, g, b] = fn(i / 255)
+    lut[i * 3] = Math.round(r)
+    lut[i * 3 + 1] = Math.round(g)
+    lut[i * 3 + 2] = Math.round(b)
+  }
+  return lut
+}
+
+/**
+ * 在体素坐标处采样（超出体数据范围返回 NaN）
+ * @param {Object} volume - NIfTI 体数据
+ * @param {number} x - 体素坐标 X（体素中心为整数）
+ * @param {number} y - 体素坐标 Y
+ * @param {number} z - 体素坐标 Z
+ * @param {string} interpolation - 插值方式 (nearest/trilinear)
+ * @returns {number} 体素值
+ */
+export function sampleVolume(volume, x, y, z, interpolation = SliceInterpolation.TRILINEAR) {
+  const [nx, ny, nz] = volume.dims
+  if (x < -0.5 || y < -0.5 || z < -0.5 || x > nx - 0.5 || y > ny - 0.5 || z > nz - 0.5) {
+    return NaN
+  }
+
+  const { data } = volume
+  const sliceSize = nx * ny
+
+  if (interpolation === SliceInterpolation.NEAREST) {
+    const i = Math.min(Math.round(x), nx - 1)
+    const j = Math.min(Math.round(y), ny - 1)
+    const k = Math.min(Math.round(z), nz - 1)
+    return data[i + j * nx + k * sliceSize]
+  }
+
+  // 边界半个体素内按边缘值处理
+  const cx = Math.min(Math.max(x, 0), nx - 1)
+  const cy = Math.min(Math.max(y, 0), ny - 1)
+  const cz = Math.min(Math.max(z, 0), nz - 1)
+  const x0 = Math.floor(cx)
+  const y0 = Math.floor(cy)
+  const z0 = Math.floor(cz)
+  const x1 = Math.min(x0 + 1, nx - 1)
+  const y1 = Math.min(y0 + 1, ny - 1)
+  const z1 = Math.min(z0 + 1, nz - 1)
+  const fx = cx - x0
+  const fy = cy - y0
+  const fz = cz - z0
+
+  const at = (i, j, k) => data[i + j * nx + k * sliceSize]
+  const c00 = at(x0, y0, z0) * (1 - fx) + at(x1, y0, z0) * fx
+  const c10 = at(x0, y1, z0) * (1 - fx) + at(x1, y1, z0) * fx
+  const c01 = at(x0, y0, z1) * (1 - fx) + at(x1, y0, z1) * fx
+  const c11 = at(x0, y1, z1) * (1 - fx) + at(x1, y1, z1) * fx
+  const c0 = c00 * (1 - fy) + c10 * fy
+  const c1 = c01 * (1 - fy) + c11 * fy
+  return c0 * (1 - fz) + c1 * fz
+}
+
+/**
+ * 获取轴向截面切片图像的方向向量
+ * @param {string} type - 截面类型 (coronal/sagittal/axial)
+ * @returns {Object} { normal, right, up }（世界坐标单位向量）
+ */
+export function getSliceAxes(type) {
+  const config = SLICE_AXES[type]
+  if (!config) return null
+
+  const axisVector = ({ axis, sign }) => new Vector3().setComponent(axis, sign)
+  return {
+    normal: axisVector({ axis: config.normal, sign: 1 }),
+    right: axisVector(config.right),
+    up: axisVector(config.up)
+  }
+}
+
+/**
+ * 计算切片的几何信息：体数据在切片平面内的范围和像素尺寸
+ * @param {Mesh} volumeMesh - 体渲染网格（局部坐标为单位包围盒，userData.volume 为体数据）
+ * @param {string} type - 截面类型
+ * @param {number} coord - 截面在法向坐标轴上的世界坐标
+ * @returns {Object|null} { type, coord, axes, rightMin, rightMax, upMin, upMax, width, height, pixelSize }
+ */
+export function getSliceGeometry(volumeMesh, type, coord) {
+  const axes = getSliceAxes(type)
+  if (!volumeMesh || !axes) return null
+
+  const volume = volumeMesh.userData.volume
+  volumeMesh.updateWorldMatrix(true, false)
+  const box = new Box3().setFromObject(volumeMesh)
+
+  // 包围盒在图像方向上的投影范围
+  const range = (direction) => {
+    const a = box.min.dot(direction)
+    const b = box.max.dot(direction)
+    return [Math.min(a, b), Math.max(a, b)]
+  }
+  const [rightMin, rightMax] = range(axes.right)
+  const [upMin, upMax] = range(axes.up)
+
+  // 像素尺寸取体素在世界坐标下的最小边长
+  const elements = volumeMesh.matrixWorld.elements
+  const voxelSizes = volume.dims.map((n, i) =>
+    new Vector3(elements[i * 4], elements[i * 4 + 1], elements[i * 4 + 2]).length() / n
+  )
+  let pixelSize = Math.min(...voxelSizes)
+  const maxExtent = Math.max(rightMax - rightMin, upMax - upMin)
+  if (maxExtent / pixelSize > MAX_SLICE_SIZE) {
+    pixelSize = maxExtent / MAX_SLICE_SIZE
+  }
+
+  return {
+    type,
+    coord,
+    axes,
+    rightMin,
+    rightMax,
+    upMin,
+    upMax,
+    width: Math.max(1, Math.round((rightMax - rightMin) / pixelSize)),
+    height: Math.max(1, Math.round((upMax - upMin) / pixelSize)),
+    pixelSize
+  }
+}
+
+/**
+ * 切片图像像素坐标转换为世界坐标
+ * @param {Object} geometry - 切片几何信息
+ * @param {number} u - 图像横坐标（0-1，左到右）
+ * @param {number} v - 图像纵坐标（0-1，上到下）
+ * @param {Vector3} target - 结果写入的向量
+ * @returns {Vector3} 世界坐标
+ */
+export function sliceToWorld(geometry, u, v, target = new Vector3()) {
+  const { axes, coord, rightMin, rightMax, upMin, upMax } = geometry
+  return target.copy(axes.normal).multiplyScalar(coord)
+    .addScaledVector(axes.right, rightMin + (rightMax - rightMin) * u)
+    .addScaledVector(axes.up, upMax - (upMax - upMin) * v)
+}
+
+/**
+ * 世界坐标转换为切片图像坐标（0-1）
+ * @param {Object} geometry - 切片几何信息
+ * @param {Vector3} point - 世界坐标
+ * @returns {Object} { u, v }
+ */
+export function worldToSlice(geometry, point) {
+  const { axes, rightMin, rightMax, upMin, upMax } = geometry
+  return {
+    u: (point.dot(axes.right) - rightMin) / (rightMax - rightMin || 1),
+    v: (upMax - point.dot(axes.up)) / (upMax - upMin || 1)
+  }
+}
+
+/**
+ * 重采样体数据切片
+ * @param {Mesh} volumeMesh - 体渲染网格
+ * @param {Object} geometry - 切片几何信息（getSliceGeometry 的结果）
+ * @param {Object} options - 显示参数
+ * @param {number} options.windowWidth - 窗宽
+ * @param {number} options.windowLevel - 窗位
+ * @param {string} options.colormap - 伪彩色名称
+ * @param {string} options.interpolation - 插值方式
+ * @param {Uint8ClampedArray} options.target - 可复用的像素缓冲（长度需为 width * height * 4）
+ * @returns {Uint8ClampedArray} RGBA 像素（自上而下逐行，体数据外为透明）
+ */
+export function extractVolumeSlice(volumeMesh, geometry, options = {}) {
+  const {
+    windowWidth = 1,
+    windowLevel = 0.5,
+    colormap = SliceColormap.GRAYSCALE,
+    interpolation = SliceInterpolation.TRILINEAR,
+    target = null
+  } = options
+
+  const volume = volumeMesh.userData.volume
+  const { width, height } = geometry
+  const pixels = target && target.length === width * height * 4
+    ? target
+    : new Uint8ClampedArray(width * height * 4)
+
+  const lut = createColormapLUT(colormap)
+  const windowMin = windowLevel - windowWidth / 2
+  const windowScale = 255 / Math.max(windowWidth, 1e-6)
+
+  // 世界坐标 -> 体素坐标：包围盒局部坐标 [-0.5, 0.5] 对应体素 [-0.5, n - 0.5]
+  const [nx, ny, nz] = volume.dims
+  const toVoxel = new Matrix4()
+    .makeTranslation(-0.5, -0.5, -0.5)
+    .multiply(new Matrix4().makeScale(nx, ny, nz))
+    .multiply(new Matrix4().makeTranslation(0.5, 0.5, 0.5))
+    .multiply(volumeMesh.matrixWorld.clone().invert())
+
+  // 沿图像行列方向的体素坐标增量
+  const origin = sliceToWorld(geometry, 0.5 / width, 0.5 / height).applyMatrix4(toVoxel)
+  const stepU = sliceToWorld(geometry, 1.5 / width, 0.5 / height).applyMatrix4(toVoxel).sub(origin)
+  const stepV = sliceToWorld(geometry, 0.5 / width, 1.5 / height).applyMatrix4(toVoxel).sub(origin)
+
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      const x = origin.x + stepU.x * col + stepV.x * row
+      const y = origin.y + stepU.y * col + stepV.y * row
+      const z = origin.z + stepU.z * col + stepV.z * row
+      const value = sampleVolume(volume, x, y, z, interpolation)
+      const index = (row * width + col) * 4
+
+      if (Number.isNaN(value)) {
+        pixels[index + 3] = 0
+        continue
+      }
+
+      const level = Math.min(Math.max(Math.round((value - windowMin) * windowScale), 0), 255)
+      pixels[index] = lut[level * 3]
+      pixels[index + 1] = lut[level * 3 + 1]
+      pixels[index + 2] = lut[level * 3 + 2]
+      pixels[index + 3] = 255
+    }
+  }
+
+  return pixels
+}
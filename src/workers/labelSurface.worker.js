@@ -0,0 +1,28 @@
+/**
+ * 标签表面重建 Worker
+ * 接收标签体数据，逐个标签生成网格并回传进度，避免大体数据阻塞界面
+ *
+ * 消息格式：
+ *   输入 { dims, data, options }
+ *   输出 { type: 'progress', done, total, label }
+ *        { type: 'result', surfaces: [{ label, voxelCount, positions, indices }] }
+ *        { type: 'error', message }
+ */
+
+import { generateLabelSurfaces } from '@/utils/marchingCubes'
+
+self.onmessage = (event) => {
+  const { dims, data, options } = event.data
+
+  try {
+    const surfaces = generateLabelSurfaces({ dims, data }, options, (done, total, label) => {
+      self.postMessage({ type: 'progress', done, total, label })
+    })
+
+    // 转移缓冲区所有权，避免复制
+    const transfer = surfaces.flatMap(surface => [surface.positions.buffer, surface.indices.buffer])
+    self.postMessage({ type: 'result', surfaces }, transfer)
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message })
+  }
+}